@@ -0,0 +1,171 @@
+/**
+ * Allowlists and blocklists
+ *
+ * Entries are strings:
+ * - IP addresses, CIDR ranges and presets ('10.0.0.0/8', '::1', 'private'),
+ *   matched against the client IP (after trustProxy)
+ * - 'key:<value>': an identity key (decision.identity.key) or the raw value it was
+ *   derived from (token, user ID, JWT subject, ...)
+ * - 'apiKey:<value>': the X-API-Key header
+ *
+ * Allowlisted requests skip the limiter; blocklisted ones are rejected without
+ * touching the store. The blocklist wins when a request is on both.
+ */
+
+const { PRESETS, parseIP, parseCIDR, inRange } = require('./ip');
+const { hashValue } = require('./identity');
+
+const LIST_NAMES = ['allowlist', 'blocklist'];
+
+/**
+ * Parse one list entry
+ * @private
+ * @returns {object} - { type: 'ip' | 'key' | 'apiKey', value, ranges? }
+ * @throws {Error} - On empty values and invalid IP ranges
+ */
+function parseEntry(entry) {
+    const text = String(entry).trim();
+    const match = /^(key|apiKey):(.*)$/.exec(text);
+
+    if (match) {
+        if (!match[2]) {
+            throw new Error(`[ratewarden] List entry '${text}' needs a value`);
+        }
+        return { type: match[1], value: match[2] };
+    }
+
+    const ranges = (PRESETS[text] || [text]).map(parseCIDR);
+    return { type: 'ip', value: text, ranges };
+}
+
+class AccessList {
+    /**
+     * @param {string|string[]} [entries=[]] - Initial entries
+     */
+    constructor(entries = []) {
+        this.set(entries);
+    }
+
+    /**
+     * Replace every entry
+     * @param {string|string[]} entries - New entries
+     */
+    set(entries) {
+        const parsed = [].concat(entries || []).map(parseEntry);
+        this.entries = new Map(parsed.map(entry => [entryText(entry), entry]));
+        this._index();
+    }
+
+    /**
+     * Add entries
+     * @param {string|string[]} entries - Entries to add
+     */
+    add(entries) {
+        for (const entry of [].concat(entries).map(parseEntry)) {
+            this.entries.set(entryText(entry), entry);
+        }
+        this._index();
+    }
+
+    /**
+     * Remove entries
+     * @param {string|string[]} entries - Entries to remove
+     * @returns {number} - Number of entries removed
+     */
+    remove(entries) {
+        let removed = 0;
+        for (const entry of [].concat(entries).map(parseEntry)) {
+            if (this.entries.delete(entryText(entry))) removed++;
+        }
+        this._index();
+        return removed;
+    }
+
+    /**
+     * Current entries
+     * @returns {string[]}
+     */
+    list() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Find the entry matching a request
+     * @param {object} request - { ip, identityKey, apiKey }
+     * @returns {string|null} - Matching entry, or null
+     */
+    match(request) {
+        if (this.entries.size === 0) return null;
+
+        if (request.identityKey && this.keys.has(request.identityKey)) {
+            return this.keys.get(request.identityKey);
+        }
+        if (request.apiKey && this.apiKeys.has(request.apiKey)) {
+            return this.apiKeys.get(request.apiKey);
+        }
+
+        const ip = request.ip ? parseIP(request.ip) : null;
+        if (ip) {
+            const found = this.ranges.find(entry => entry.ranges.some(range => inRange(ip, range)));
+            if (found) return entryText(found);
+        }
+        return null;
+    }
+
+    /**
+     * Rebuild lookup tables after a change
+     * @private
+     */
+    _index() {
+        // Identity keys are hashed values, so match both the key and its raw value
+        this.keys = new Map();
+        this.apiKeys = new Map();
+        this.ranges = [];
+
+        for (const [text, entry] of this.entries) {
+            if (entry.type === 'key') {
+                this.keys.set(entry.value, text);
+                this.keys.set(hashValue(entry.value), text);
+            } else if (entry.type === 'apiKey') {
+                this.apiKeys.set(entry.value, text);
+            } else {
+                this.ranges.push(entry);
+            }
+        }
+    }
+}
+
+/**
+ * Canonical text of a parsed entry (used as its map key)
+ * @private
+ */
+function entryText(entry) {
+    return entry.type === 'ip' ? entry.value : `${entry.type}:${entry.value}`;
+}
+
+/**
+ * Validate entries and return their canonical text ('10.0.0.0/8', 'key:abc', ...)
+ * @param {string|string[]} entries - Entries
+ * @returns {string[]}
+ * @throws {Error} - On invalid entries
+ */
+function normalizeEntries(entries) {
+    return [].concat(entries || []).map(entry => entryText(parseEntry(entry)));
+}
+
+/**
+ * Throw on unknown list names
+ * @param {string} name - List name
+ */
+function assertListName(name) {
+    if (!LIST_NAMES.includes(name)) {
+        throw new Error(`[ratewarden] Unknown list '${name}'. Expected one of: ${LIST_NAMES.join(', ')}`);
+    }
+}
+
+module.exports = {
+    LIST_NAMES,
+    AccessList,
+    normalizeEntries,
+    assertListName
+};
@@ -0,0 +1,49 @@
+/**
+ * Express adapter
+ * Applies core decisions using Express response APIs
+ */
+
+const { exposeLimiter, releaseOnFinish } = require('../core');
+
+/**
+ * Create Express middleware from a limiter
+ * @param {RateLimiter} limiter - Limiter created by createLimiter()
+ * @param {Object} [options={}]
+ * @param {Function} [options.formatBody] - decision => 429 JSON body, bypassing content
+ *                                          negotiation (default: decision.body)
+ * @returns {Function} - Express middleware (req, res, next)
+ */
+function createExpressMiddleware(limiter, options = {}) {
+    function rateGuardMiddleware(req, res, next) {
+        // Use async IIFE to handle promises properly
+        (async () => {
+            const decision = await limiter.consume(req, res);
+
+            // Set standard HTTP RateLimit headers (and Retry-After when blocked)
+            for (const name of Object.keys(decision.headers)) {
+                res.setHeader(name, decision.headers[name]);
+            }
+
+            if (!decision.allowed) {
+                // Send 429 Too Many Requests (or the failureMode 'closed' status)
+                if (options.formatBody) {
+                    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+                    return res.status(decision.statusCode).json(options.formatBody(decision));
+                }
+                // Text and HTML bodies are strings (Content-Type is already set)
+                return typeof decision.body === 'string'
+                    ? res.status(decision.statusCode).send(decision.body)
+                    : res.status(decision.statusCode).json(decision.body);
+            }
+
+            // Request allowed - hold its in-flight slot (if any) until the response ends
+            releaseOnFinish(res, decision);
+            next();
+        })();
+    }
+
+    // Expose the limiter (store access for adminRouter, close(), events, ...)
+    return exposeLimiter(rateGuardMiddleware, limiter);
+}
+
+module.exports = createExpressMiddleware;
@@ -0,0 +1,50 @@
+/**
+ * Fastify adapter
+ * Registers an onRequest hook that applies core decisions using the Fastify reply API
+ *
+ * @example
+ * const fastify = require('fastify')();
+ * fastify.register(require('ratewarden/fastify'), {
+ *   tiers: { guest: 10, free: 100 }
+ * });
+ */
+
+const { createLimiter, releaseOnFinish } = require('../core');
+
+/**
+ * Fastify plugin
+ * Options are the same as rateGuard(); resolveTier and keyGenerator receive the Fastify request
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} [options={}] - Configuration options
+ */
+async function ratewardenFastify(fastify, options = {}) {
+    // Fastify's own register() options are not limiter options
+    const { prefix, logLevel, logSerializers, ...limiterOptions } = options;
+    const limiter = createLimiter(limiterOptions);
+    fastify.decorate('ratewarden', limiter);
+
+    fastify.addHook('onRequest', async (request, reply) => {
+        const decision = await limiter.consume(request, reply);
+
+        reply.headers(decision.headers);
+
+        if (!decision.allowed) {
+            reply.code(decision.statusCode).send(decision.body);
+            return reply;
+        }
+
+        releaseOnFinish(reply.raw, decision);
+    });
+
+    fastify.addHook('onClose', async () => {
+        await limiter.close();
+    });
+}
+
+// Apply to the whole application instead of an encapsulated context (same as fastify-plugin)
+ratewardenFastify[Symbol.for('skip-override')] = true;
+ratewardenFastify[Symbol.for('fastify.display-name')] = 'ratewarden';
+
+module.exports = ratewardenFastify;
+module.exports.default = ratewardenFastify;
+module.exports.ratewardenFastify = ratewardenFastify;
@@ -0,0 +1,120 @@
+/**
+ * Raw Node http and serverless adapter
+ * Works without any framework: wraps a bare (req, res) handler using only
+ * setHeader/writeHead/end, or returns decisions for handlers that build
+ * their own responses (AWS Lambda, edge functions)
+ *
+ * @example
+ * const http = require('http');
+ * const { withRateLimit } = require('ratewarden/http');
+ *
+ * http.createServer(withRateLimit((req, res) => {
+ *   res.end('ok');
+ * }, { tiers: { guest: 10 } })).listen(3000);
+ *
+ * @example
+ * const { createRequestLimiter } = require('ratewarden/http');
+ * const check = createRequestLimiter({ tiers: { guest: 10 } });
+ *
+ * exports.handler = async (event) => {
+ *   const decision = await check(event);
+ *   if (!decision.allowed) {
+ *     const body = typeof decision.body === 'string' ? decision.body : JSON.stringify(decision.body);
+ *     return { statusCode: decision.statusCode, headers: decision.headers, body };
+ *   }
+ *   return { statusCode: 200, headers: decision.headers, body: 'ok' };
+ * };
+ */
+
+const { createLimiter, exposeLimiter, releaseOnFinish } = require('../core');
+const { write429Response } = require('../headers');
+
+/**
+ * Wrap a bare (req, res) handler with rate limiting
+ * Options are the same as rateGuard(); resolveTier and keyGenerator receive the IncomingMessage
+ * @param {Function} handler - Request handler (req, res) => void
+ * @param {Object} [options={}] - Configuration options
+ * @returns {Function} - Wrapped handler (req, res) => Promise<void>
+ */
+function withRateLimit(handler, options = {}) {
+    const limiter = createLimiter(options);
+
+    async function rateGuardHandler(req, res) {
+        const decision = await limiter.consume(req, res);
+
+        if (!decision.allowed) {
+            return write429Response(res, decision.headers, decision.body, decision.statusCode);
+        }
+
+        for (const name of Object.keys(decision.headers)) {
+            res.setHeader(name, decision.headers[name]);
+        }
+
+        releaseOnFinish(res, decision);
+        return handler(req, res);
+    }
+
+    return exposeLimiter(rateGuardHandler, limiter);
+}
+
+/**
+ * Normalize a request-like object for identity resolution and rule matching
+ * Accepts { headers, ip } objects, Fetch API Requests and API Gateway (v1/v2) events
+ * @private
+ */
+function toRequestLike(request, context = {}) {
+    // Fetch API Request (edge runtimes): Headers instance, absolute url, no client address
+    const isFetch = request.headers && typeof request.headers.entries === 'function';
+    const rawHeaders = isFetch ? Object.fromEntries(request.headers.entries()) : request.headers || {};
+
+    // Header names are case-insensitive; identity resolution expects lowercase
+    const headers = {};
+    for (const name of Object.keys(rawHeaders)) {
+        headers[name.toLowerCase()] = rawHeaders[name];
+    }
+
+    const ip = context.ip
+        || request.ip
+        || request.requestContext?.http?.sourceIp
+        || request.requestContext?.identity?.sourceIp;
+
+    if (isFetch) {
+        const url = new URL(request.url);
+        return { headers, ip, method: request.method, url: url.pathname + url.search };
+    }
+
+    // API Gateway v2 (rawPath, requestContext.http.method) and v1 (path, httpMethod) events
+    const method = request.method || request.requestContext?.http?.method || request.httpMethod;
+    let url = request.url;
+    if (url === undefined && request.rawPath !== undefined) {
+        url = request.rawQueryString ? `${request.rawPath}?${request.rawQueryString}` : request.rawPath;
+    }
+    const query = request.query || request.queryStringParameters || undefined;
+
+    return { ...request, headers, ip, method, url: url || request.path, query };
+}
+
+/**
+ * Create a function that rate limits request-like objects and returns decisions
+ * Nothing is written anywhere; the caller acts on the decision itself.
+ * Fetch API Requests carry no client address: pass it as `{ ip }` (e.g. from the
+ * runtime's connection info), or every anonymous caller shares the 'unknown' IP budget
+ * @param {Object} [options={}] - Same options as rateGuard()
+ * @returns {Function} - async (request, { ip }?) => decision
+ *   (see createLimiter().consume() for the decision shape). With the `concurrency`
+ *   option, call `decision.release()` once the response is sent
+ */
+function createRequestLimiter(options = {}) {
+    const limiter = createLimiter(options);
+
+    function checkRequest(request, context) {
+        return limiter.consume(toRequestLike(request, context));
+    }
+
+    return exposeLimiter(checkRequest, limiter);
+}
+
+module.exports = {
+    withRateLimit,
+    createRequestLimiter
+};
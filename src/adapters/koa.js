@@ -0,0 +1,43 @@
+/**
+ * Koa adapter
+ * Applies core decisions using the Koa context
+ *
+ * @example
+ * const Koa = require('koa');
+ * const ratewarden = require('ratewarden/koa');
+ * const app = new Koa();
+ * app.use(ratewarden({ tiers: { guest: 10, free: 100 } }));
+ */
+
+const { createLimiter, exposeLimiter, releaseOnFinish } = require('../core');
+
+/**
+ * Create Koa middleware
+ * Options are the same as rateGuard(); resolveTier, keyGenerator and
+ * onLimitReached receive the Koa ctx in place of req (and res)
+ * @param {Object} [options={}] - Configuration options
+ * @returns {Function} - Koa middleware (ctx, next)
+ */
+function ratewardenKoa(options = {}) {
+    const limiter = createLimiter(options);
+
+    async function rateGuardKoa(ctx, next) {
+        const decision = await limiter.consume(ctx, ctx);
+
+        ctx.set(decision.headers);
+
+        if (!decision.allowed) {
+            ctx.status = decision.statusCode;
+            ctx.body = decision.body;
+            return;
+        }
+
+        releaseOnFinish(ctx.res, decision);
+        await next();
+    }
+
+    return exposeLimiter(rateGuardKoa, limiter);
+}
+
+module.exports = ratewardenKoa;
+module.exports.ratewardenKoa = ratewardenKoa;
@@ -0,0 +1,155 @@
+/**
+ * Admin API for inspecting and resetting individual identities
+ *
+ * Mount behind your own authentication - these routes can unblock anyone.
+ *
+ * Routes (JSON):
+ * - GET    /identities?tier=&cursor=&count=  → one page of tracked identities
+ * - GET    /identities/:tier/:identityKey    → current usage for one identity
+ * - DELETE /identities/:tier/:identityKey    → clear limits for one identity
+ * - GET    /top?tier=&limit=10               → top consumers by current usage
+ * - GET    /bans/:identityKey                → running penalty box ban
+ * - DELETE /bans/:identityKey                → lift a ban and forget past offences
+ *
+ * Identity keys are SHA-256 hashes. Add `?hash=1` to look up or reset by the raw
+ * value instead (the bearer token or x-user-id the customer sends).
+ */
+
+const { hashValue } = require('./identity');
+
+// Upper bound on identities scanned by /top
+const TOP_SCAN_LIMIT = 10000;
+
+/**
+ * Resolve the store behind a limiter, middleware or store
+ * @private
+ */
+function resolveStore(target) {
+    const limiter = target && target.limiter ? target.limiter : target;
+    const store = limiter && limiter.store ? limiter.store : limiter;
+
+    if (!store || typeof store.get !== 'function' || typeof store.resetKey !== 'function') {
+        throw new Error('[ratewarden] adminRouter() needs a rateGuard() middleware, a limiter or a store');
+    }
+    return store;
+}
+
+/**
+ * Identity key from route params, hashing raw values on request
+ * @private
+ */
+function identityFromRequest(req) {
+    const { identityKey } = req.params;
+    return req.query.hash ? hashValue(identityKey) : identityKey;
+}
+
+/**
+ * Merge list() items of the same identity and tier
+ * A Redis SCAN can return the windows of a multi-window tier on different pages
+ * @private
+ */
+function mergeItems(items) {
+    const merged = new Map();
+    for (const item of items) {
+        const id = `${item.tier}:${item.identityKey}`;
+        const seen = merged.get(id);
+        if (!seen) {
+            merged.set(id, item);
+            continue;
+        }
+
+        const windows = [...(seen.windows || []), ...(item.windows || [])]
+            .filter((window, index, all) => all.findIndex(other => other.windowMs === window.windowMs) === index)
+            .sort((a, b) => a.windowMs - b.windowMs);
+        merged.set(id, { ...seen, current: Math.max(seen.current, item.current), windows });
+    }
+    return Array.from(merged.values());
+}
+
+/**
+ * Wrap an async route so errors become 500 JSON responses
+ * @private
+ */
+function handle(route) {
+    return (req, res) => {
+        route(req, res).catch((error) => {
+            res.status(500).json({ error: error.message });
+        });
+    };
+}
+
+/**
+ * Create an Express router exposing the admin API
+ * @param {Function|Object} limiter - Middleware returned by rateGuard(), a limiter from
+ *                                    createLimiter(), or a store
+ * @returns {Object} - Express router
+ *
+ * @example
+ * const limiter = ratewarden();
+ * app.use(limiter);
+ * app.use('/admin/ratelimit', requireAdmin, ratewarden.adminRouter(limiter));
+ */
+function adminRouter(limiter) {
+    const store = resolveStore(limiter);
+    const { Router } = require('express');
+    const router = Router();
+
+    router.get('/identities', handle(async (req, res) => {
+        const page = await store.list({
+            tier: req.query.tier,
+            cursor: req.query.cursor,
+            count: req.query.count ? Number(req.query.count) : undefined
+        });
+        res.json(page);
+    }));
+
+    router.get('/identities/:tier/:identityKey', handle(async (req, res) => {
+        const usage = await store.get(identityFromRequest(req), req.params.tier);
+        if (!usage) {
+            return res.status(404).json({ error: 'Identity not tracked' });
+        }
+        res.json(usage);
+    }));
+
+    router.delete('/identities/:tier/:identityKey', handle(async (req, res) => {
+        const identityKey = identityFromRequest(req);
+        const reset = await store.resetKey(identityKey, req.params.tier);
+        res.json({ identityKey, tier: req.params.tier, reset });
+    }));
+
+    router.get('/bans/:identityKey', handle(async (req, res) => {
+        const identityKey = identityFromRequest(req);
+        const ban = store.getBan ? await store.getBan(identityKey) : null;
+        if (!ban) {
+            return res.status(404).json({ error: 'Identity not banned' });
+        }
+        res.json({ identityKey, until: ban.until, expiresAt: new Date(ban.until).toISOString(), offences: ban.offences });
+    }));
+
+    router.delete('/bans/:identityKey', handle(async (req, res) => {
+        const identityKey = identityFromRequest(req);
+        const cleared = store.clearBan ? await store.clearBan(identityKey) : false;
+        res.json({ identityKey, cleared });
+    }));
+
+    router.get('/top', handle(async (req, res) => {
+        const limit = Number(req.query.limit) || 10;
+        const items = [];
+        let cursor;
+
+        // Walk every page (bounded) and keep the heaviest consumers
+        do {
+            const page = await store.list({ tier: req.query.tier, cursor });
+            items.push(...page.items);
+            cursor = page.cursor;
+        } while (cursor && items.length < TOP_SCAN_LIMIT);
+
+        const top = mergeItems(items).sort((a, b) => b.current - a.current);
+        res.json({ items: top.slice(0, limit) });
+    }));
+
+    return router;
+}
+
+module.exports = adminRouter;
+module.exports.adminRouter = adminRouter;
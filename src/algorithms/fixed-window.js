@@ -0,0 +1,89 @@
+/**
+ * Fixed window counter
+ * Counts requests in windows aligned to multiples of windowMs
+ *
+ * O(1) memory per identity, but allows up to 2x limit across a window boundary.
+ * State: { start, count }
+ */
+
+const { buildResult } = require('./result');
+
+/**
+ * Consume one request
+ * @param {object|undefined} state - { start, count }
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} limit - Maximum requests allowed in window
+ * @param {number} windowMs - Time window in milliseconds
+ * @param {number} [cost=1] - Units of the budget this request consumes
+ * @returns {object} - { state, result }
+ */
+function consume(state, now, limit, windowMs, cost = 1) {
+    const start = now - (now % windowMs);
+    const count = state && state.start === start ? state.count : 0;
+    const resetAtMs = start + windowMs;
+
+    // Fractional costs leave fractional counts: report whole units like the other algorithms
+    if (count + cost > limit) {
+        return {
+            state: { start, count },
+            result: buildResult(false, Math.ceil(count), Math.max(0, Math.floor(limit - count)), resetAtMs, resetAtMs - now)
+        };
+    }
+
+    return {
+        state: { start, count: count + cost },
+        result: buildResult(true, Math.ceil(count + cost), Math.max(0, Math.floor(limit - count - cost)), resetAtMs, 0)
+    };
+}
+
+function isExpired(state, now, windowMs) {
+    return now >= state.start + windowMs;
+}
+
+function count(state, now, windowMs) {
+    return isExpired(state, now, windowMs) ? 0 : Math.ceil(state.count);
+}
+
+const lua = `
+local function check(key, now, limit, window, member, commit, cost)
+    local start = now - (now % window)
+    local reset = start + window
+
+    local state = redis.call('HMGET', key, 'start', 'count')
+    local count = 0
+    if tonumber(state[1]) == start then
+        count = tonumber(state[2]) or 0
+    end
+
+    if count + cost > limit then
+        return { 0, math.ceil(count), math.max(0, math.floor(limit - count)), reset, reset - now }
+    end
+
+    count = count + cost
+    if commit then
+        redis.call('HSET', key, 'start', start, 'count', count)
+        redis.call('PEXPIRE', key, reset - now)
+    end
+    return { 1, math.ceil(count), math.max(0, math.floor(limit - count)), reset, 0 }
+end
+`;
+
+const peekScript = `
+local state = redis.call('HMGET', KEYS[1], 'start', 'count')
+if tonumber(state[1]) == nil then
+    return { 0, 0 }
+end
+if tonumber(state[1]) + tonumber(ARGV[2]) <= tonumber(ARGV[1]) then
+    return { 1, 0 }
+end
+return { 1, math.ceil(tonumber(state[2])) }
+`;
+
+module.exports = {
+    name: 'fixed-window',
+    consume,
+    isExpired,
+    count,
+    lua,
+    peekScript
+};
@@ -0,0 +1,102 @@
+/**
+ * Generic Cell Rate Algorithm (GCRA)
+ * Tracks a single "theoretical arrival time" (TAT) per identity; requests are
+ * spaced windowMs / limit apart with a burst tolerance of one full window
+ *
+ * O(1) memory per identity (one number), smooth like a token bucket.
+ * State: { tat, interval } (Redis: hash with the same fields)
+ */
+
+const { buildResult } = require('./result');
+
+/**
+ * Consume one request
+ * @param {object|undefined} state - { tat, interval }
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} limit - Maximum requests allowed in window
+ * @param {number} windowMs - Time window in milliseconds
+ * @param {number} [cost=1] - Units of the budget this request consumes
+ * @returns {object} - { state, result }
+ */
+function consume(state, now, limit, windowMs, cost = 1) {
+    if (limit <= 0) {
+        // No emission interval: reject, retry after a window like the other algorithms
+        return {
+            state: { tat: now, interval: windowMs },
+            result: buildResult(false, 0, 0, now + windowMs, windowMs)
+        };
+    }
+
+    const interval = windowMs / limit;
+    const tat = Math.max(state ? state.tat : now, now);
+    const newTat = tat + interval * cost;
+    const allowAt = newTat - windowMs;
+
+    if (now < allowAt) {
+        const remaining = Math.max(0, Math.floor((windowMs - (tat - now)) / interval));
+        return {
+            state: { tat, interval },
+            result: buildResult(false, limit - remaining, remaining, tat, allowAt - now)
+        };
+    }
+
+    const remaining = Math.floor((now - allowAt) / interval);
+
+    return {
+        state: { tat: newTat, interval },
+        result: buildResult(true, limit - remaining, remaining, newTat, 0)
+    };
+}
+
+function isExpired(state, now) {
+    return state.tat <= now;
+}
+
+function count(state, now) {
+    return Math.max(0, Math.ceil((state.tat - now) / state.interval));
+}
+
+const lua = `
+local function check(key, now, limit, window, member, commit, cost)
+    if limit <= 0 then
+        return { 0, 0, 0, now + window, window }
+    end
+
+    local interval = window / limit
+
+    local tat = tonumber(redis.call('HGET', key, 'tat')) or now
+    tat = math.max(tat, now)
+    local newTat = tat + interval * cost
+    local allowAt = newTat - window
+
+    if now < allowAt then
+        local remaining = math.max(0, math.floor((window - (tat - now)) / interval))
+        return { 0, limit - remaining, remaining, math.ceil(tat), math.ceil(allowAt - now) }
+    end
+
+    if commit then
+        redis.call('HSET', key, 'tat', tostring(newTat), 'interval', tostring(interval))
+        redis.call('PEXPIRE', key, math.ceil(newTat - now))
+    end
+
+    local remaining = math.floor((now - allowAt) / interval)
+    return { 1, limit - remaining, remaining, math.ceil(newTat), 0 }
+end
+`;
+
+const peekScript = `
+local state = redis.call('HMGET', KEYS[1], 'tat', 'interval')
+if tonumber(state[1]) == nil then
+    return { 0, 0 }
+end
+return { 1, math.max(0, math.ceil((tonumber(state[1]) - tonumber(ARGV[1])) / tonumber(state[2]))) }
+`;
+
+module.exports = {
+    name: 'gcra',
+    consume,
+    isExpired,
+    count,
+    lua,
+    peekScript
+};
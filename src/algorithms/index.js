@@ -0,0 +1,124 @@
+/**
+ * Rate limiting algorithms
+ *
+ * Every algorithm implements the same strategy interface so both stores can
+ * swap them without changing the result shape seen by the middleware:
+ * - consume(state, now, limit, windowMs, cost = 1) → { state, result } (in-memory)
+ *   Must not mutate `state`, so several windows can be checked before committing
+ * - isExpired(state, now, windowMs) → boolean (in-memory cleanup)
+ * - count(state, now, windowMs) → number (in-memory stats)
+ * - lua → Lua source defining `check(key, now, limit, window, member, commit, cost)`
+ *   for the Redis store. Returns { allowed, current, remaining, resetAtMs, retryAfterMs }
+ *   and only writes the consumed request when `commit` is true
+ * - peekScript → read-only Lua script for per-identity lookups
+ *   KEYS[1] = state key, ARGV = [now, windowMs]
+ *   Returns { exists, current }
+ */
+
+const slidingWindow = require('./sliding-window');
+const slidingWindowCounter = require('./sliding-window-counter');
+const fixedWindow = require('./fixed-window');
+const tokenBucket = require('./token-bucket');
+const gcra = require('./gcra');
+const { buildResult, combineResults, unlimitedResult, parseNamespace, usageResult } = require('./result');
+
+// Built-in algorithms by name
+const ALGORITHMS = {
+    'sliding-window': slidingWindow,
+    'sliding-window-counter': slidingWindowCounter,
+    'fixed-window': fixedWindow,
+    'token-bucket': tokenBucket,
+    gcra
+};
+
+// Default algorithm: sliding window log (exact, O(limit) memory per identity)
+const DEFAULT_ALGORITHM = 'sliding-window';
+
+/**
+ * Resolve an algorithm option to a strategy object
+ * @param {string|object} [algorithm='sliding-window'] - Algorithm name or custom strategy
+ * @returns {object} - Algorithm strategy
+ */
+function resolveAlgorithm(algorithm = DEFAULT_ALGORITHM) {
+    if (typeof algorithm === 'object' && algorithm !== null) {
+        for (const method of ['consume', 'isExpired', 'count']) {
+            if (typeof algorithm[method] !== 'function') {
+                throw new Error(`[ratewarden] Custom algorithm must implement ${method}(state, now, ...)`);
+            }
+        }
+        return algorithm;
+    }
+
+    const strategy = ALGORITHMS[algorithm];
+    if (!strategy) {
+        throw new Error(
+            `[ratewarden] Unknown algorithm '${algorithm}'. Expected one of: ${Object.keys(ALGORITHMS).join(', ')}`
+        );
+    }
+    return strategy;
+}
+
+// Compiled scripts per algorithm (WeakMap<algorithm, { single, multi }>)
+const compiledScripts = new WeakMap();
+
+/**
+ * Build the Redis scripts wrapping an algorithm's check() function
+ * - single: KEYS[1], ARGV = [now, limit, windowMs, member, cost]
+ * - multi: KEYS[1..n], ARGV = [now, member, cost, limit1, windowMs1, ..., limitN, windowMsN]
+ *   Checks every window first and records the request only if all of them have room.
+ *   Returns the n results flattened (5 values each)
+ * @param {object} algorithm - Algorithm strategy with `lua`
+ * @returns {object} - { single, multi } Lua scripts
+ */
+function getScripts(algorithm) {
+    let scripts = compiledScripts.get(algorithm);
+    if (!scripts) {
+        scripts = {
+            single: `${algorithm.lua}
+return check(KEYS[1], tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), ARGV[4], true, tonumber(ARGV[5]) or 1)
+`,
+            multi: `${algorithm.lua}
+local now = tonumber(ARGV[1])
+local member = ARGV[2]
+local cost = tonumber(ARGV[3]) or 1
+local results = {}
+local allowed = true
+
+for i = 1, #KEYS do
+    results[i] = check(KEYS[i], now, tonumber(ARGV[2 + 2 * i]), tonumber(ARGV[3 + 2 * i]), member, false, cost)
+    if results[i][1] == 0 then
+        allowed = false
+    end
+end
+
+if allowed then
+    for i = 1, #KEYS do
+        results[i] = check(KEYS[i], now, tonumber(ARGV[2 + 2 * i]), tonumber(ARGV[3 + 2 * i]), member, true, cost)
+    end
+end
+
+local flat = {}
+for i = 1, #results do
+    for j = 1, 5 do
+        flat[#flat + 1] = results[i][j]
+    end
+end
+return flat
+`
+        };
+        compiledScripts.set(algorithm, scripts);
+    }
+    return scripts;
+}
+
+module.exports = {
+    ALGORITHMS,
+    DEFAULT_ALGORITHM,
+    resolveAlgorithm,
+    getScripts,
+    buildResult,
+    combineResults,
+    unlimitedResult,
+    parseNamespace,
+    usageResult
+};
@@ -0,0 +1,114 @@
+/**
+ * Result helpers shared by all algorithms
+ */
+
+/**
+ * Build the result object shared by all algorithms and stores
+ * @param {boolean} allowed - Whether the request is allowed
+ * @param {number} current - Requests counted against the limit
+ * @param {number} remaining - Requests left before the limit is reached
+ * @param {number} resetAtMs - Timestamp (ms) when the limit fully resets
+ * @param {number} retryAfterMs - Milliseconds until a blocked request may retry
+ * @returns {object} - { allowed, current, remaining, resetTime, resetAtMs, retryAfter, retryAfterMs }
+ *                     (resetTime and retryAfter in whole seconds, resetAtMs and retryAfterMs exact)
+ */
+function buildResult(allowed, current, remaining, resetAtMs, retryAfterMs) {
+    return {
+        allowed,
+        current,
+        remaining,
+        resetTime: Math.ceil(resetAtMs / 1000),
+        resetAtMs,
+        retryAfter: allowed ? 0 : Math.ceil(retryAfterMs / 1000),
+        retryAfterMs: allowed ? 0 : Math.max(0, retryAfterMs)
+    };
+}
+
+/**
+ * Result for tiers without a limit (e.g. admin: Infinity)
+ * Nothing is recorded, so unlimited identities cost no memory
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} windowMs - Time window in milliseconds
+ * @returns {object} - Allowed result
+ */
+function unlimitedResult(now, windowMs) {
+    return buildResult(true, 0, Infinity, now + windowMs, 0);
+}
+
+/**
+ * Combine per-window results into one, reporting the most restrictive window
+ * - Blocked: the blocked window with the longest wait
+ * - Allowed: the window with the fewest remaining requests
+ * @param {Array<object>} windows - [{ limit, windowMs, ... }] in the same order as results
+ * @param {Array<object>} results - Result per window
+ * @returns {object} - Result of the reported window plus its descriptor
+ *                     ({ limit, windowMs, ... }) and { windows }
+ */
+function combineResults(windows, results) {
+    let index = 0;
+    const allowed = results.every(result => result.allowed);
+
+    for (let i = 1; i < results.length; i++) {
+        const best = results[index];
+        const candidate = results[i];
+
+        if (allowed
+            ? candidate.remaining < best.remaining
+            : !candidate.allowed && (best.allowed || candidate.retryAfter > best.retryAfter)) {
+            index = i;
+        }
+    }
+
+    return {
+        ...results[index],
+        ...windows[index],
+        allowed,
+        retryAfter: allowed ? 0 : results[index].retryAfter,
+        retryAfterMs: allowed ? 0 : results[index].retryAfterMs,
+        windows: results.map((result, i) => ({ ...windows[i], ...result }))
+    };
+}
+
+/**
+ * Split a store namespace into its tier and, for multi-window tiers, its window
+ * ('free' → { tier: 'free' }, 'free#1000' → { tier: 'free', windowMs: 1000 })
+ * @param {string} namespace - Namespace of a store key
+ * @returns {object} - { tier, windowMs? }
+ */
+function parseNamespace(namespace) {
+    const match = /^(.*)#(\d+)$/.exec(namespace);
+    return match ? { tier: match[1], windowMs: Number(match[2]) } : { tier: namespace };
+}
+
+/**
+ * Usage of one identity in a tier, as reported by the stores' get() and list()
+ * Multi-window tiers keep one key per window ({tier}#{windowMs}): their windows are
+ * listed and the highest count is reported as current
+ * @param {string} identityKey - Unique identifier for the requester
+ * @param {string} tier - Tier (namespace) that was looked up
+ * @param {Array<object>} usage - [{ namespace, windowMs, current }], one per key found
+ * @returns {object} - { identityKey, tier, current, windows? }
+ */
+function usageResult(identityKey, tier, usage) {
+    if (usage.length === 1 && usage[0].namespace === tier) {
+        return { identityKey, tier, current: usage[0].current };
+    }
+
+    const windows = usage
+        .map(({ windowMs, current }) => ({ windowMs, current }))
+        .sort((a, b) => a.windowMs - b.windowMs);
+    return {
+        identityKey,
+        tier,
+        current: Math.max(...windows.map(window => window.current)),
+        windows
+    };
+}
+
+module.exports = {
+    buildResult,
+    combineResults,
+    unlimitedResult,
+    parseNamespace,
+    usageResult
+};
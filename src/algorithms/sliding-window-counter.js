@@ -0,0 +1,143 @@
+/**
+ * Sliding window counter (two-bucket approximation)
+ * Keeps counts for the current and previous fixed windows and weights the
+ * previous one by how much of it still overlaps the sliding window
+ *
+ * O(1) memory per identity with close to sliding-log accuracy.
+ * State: { start, count, prev }
+ */
+
+const { buildResult } = require('./result');
+
+/**
+ * Milliseconds until the weighted count leaves room for one more request
+ * @private
+ */
+function retryDelay(start, count, prev, now, limit, windowMs, cost) {
+    if (count + cost <= limit && prev > 0) {
+        // Wait for the previous window's weight to decay enough
+        return start + Math.ceil(windowMs * (1 - (limit - cost - count) / prev)) - now;
+    }
+    // The current window alone is full: wait for it to become the previous one and decay
+    const next = count > 0 ? Math.ceil(windowMs * (1 - (limit - cost) / count)) : 0;
+    return start + windowMs + next - now;
+}
+
+/**
+ * Consume one request
+ * @param {object|undefined} state - { start, count, prev }
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} limit - Maximum requests allowed in window
+ * @param {number} windowMs - Time window in milliseconds
+ * @param {number} [cost=1] - Units of the budget this request consumes
+ * @returns {object} - { state, result }
+ */
+function consume(state, now, limit, windowMs, cost = 1) {
+    const start = now - (now % windowMs);
+    let count = 0;
+    let prev = 0;
+
+    if (state && state.start === start) {
+        count = state.count;
+        prev = state.prev;
+    } else if (state && state.start === start - windowMs) {
+        prev = state.count;
+    }
+
+    const weight = (windowMs - (now - start)) / windowMs;
+    const estimated = prev * weight + count;
+    const resetAtMs = start + windowMs;
+
+    if (estimated + cost > limit) {
+        return {
+            state: { start, count, prev },
+            result: buildResult(
+                false,
+                Math.ceil(estimated),
+                Math.max(0, Math.floor(limit - estimated)),
+                resetAtMs,
+                retryDelay(start, count, prev, now, limit, windowMs, cost)
+            )
+        };
+    }
+
+    return {
+        state: { start, count: count + cost, prev },
+        result: buildResult(
+            true,
+            Math.ceil(estimated + cost),
+            Math.max(0, Math.floor(limit - estimated - cost)),
+            resetAtMs,
+            0
+        )
+    };
+}
+
+function isExpired(state, now, windowMs) {
+    return now >= state.start + 2 * windowMs;
+}
+
+function count(state, now, windowMs) {
+    // Requests recorded in the current fixed window
+    return now < state.start + windowMs ? Math.ceil(state.count) : 0;
+}
+
+const lua = `
+local function check(key, now, limit, window, member, commit, cost)
+    local start = now - (now % window)
+
+    local state = redis.call('HMGET', key, 'start', 'count', 'prev')
+    local stored = tonumber(state[1])
+    local count = 0
+    local prev = 0
+    if stored == start then
+        count = tonumber(state[2]) or 0
+        prev = tonumber(state[3]) or 0
+    elseif stored == start - window then
+        prev = tonumber(state[2]) or 0
+    end
+
+    local estimated = prev * ((window - (now - start)) / window) + count
+    local reset = start + window
+
+    if estimated + cost > limit then
+        local retry
+        if count + cost <= limit and prev > 0 then
+            retry = start + math.ceil(window * (1 - (limit - cost - count) / prev)) - now
+        else
+            local nextDelay = 0
+            if count > 0 then
+                nextDelay = math.ceil(window * (1 - (limit - cost) / count))
+            end
+            retry = start + window + nextDelay - now
+        end
+        return { 0, math.ceil(estimated), math.max(0, math.floor(limit - estimated)), reset, retry }
+    end
+
+    if commit then
+        redis.call('HSET', key, 'start', start, 'count', count + cost, 'prev', prev)
+        redis.call('PEXPIRE', key, reset + window - now)
+    end
+    return { 1, math.ceil(estimated + cost), math.max(0, math.floor(limit - estimated - cost)), reset, 0 }
+end
+`;
+
+const peekScript = `
+local state = redis.call('HMGET', KEYS[1], 'start', 'count')
+if tonumber(state[1]) == nil then
+    return { 0, 0 }
+end
+if tonumber(state[1]) + tonumber(ARGV[2]) <= tonumber(ARGV[1]) then
+    return { 1, 0 }
+end
+return { 1, math.ceil(tonumber(state[2])) }
+`;
+
+module.exports = {
+    name: 'sliding-window-counter',
+    consume,
+    isExpired,
+    count,
+    lua,
+    peekScript
+};
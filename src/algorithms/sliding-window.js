@@ -0,0 +1,119 @@
+/**
+ * Sliding window log
+ * Stores one timestamp per request and counts those inside the window
+ *
+ * Exact, but costs O(limit) memory per identity.
+ * State: Array<timestamp>
+ */
+
+const { buildResult } = require('./result');
+
+/**
+ * Remove timestamps that fell out of the window
+ * @private
+ */
+function prune(timestamps, now, windowMs) {
+    const windowStart = now - windowMs;
+    return (timestamps || []).filter(ts => ts > windowStart);
+}
+
+/**
+ * Consume one request
+ * Weighted requests record one timestamp per unit of cost (rounded up)
+ * @param {Array<number>|undefined} state - Timestamps recorded for this identity
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} limit - Maximum requests allowed in window
+ * @param {number} windowMs - Time window in milliseconds
+ * @param {number} [cost=1] - Units of the budget this request consumes
+ * @returns {object} - { state, result }
+ */
+function consume(state, now, limit, windowMs, cost = 1) {
+    const timestamps = prune(state, now, windowMs);
+    const units = Math.ceil(cost);
+
+    // Reset time is when the oldest request expires
+    const resetAtMs = timestamps.length > 0
+        ? timestamps[0] + windowMs
+        : now + windowMs;
+
+    if (timestamps.length + units > limit) {
+        // Wait until enough of the oldest entries expire to fit this request
+        const freeing = timestamps[timestamps.length + units - limit - 1];
+        const retryAtMs = units <= limit && freeing !== undefined ? freeing + windowMs : resetAtMs;
+
+        return {
+            state: timestamps,
+            result: buildResult(false, timestamps.length, Math.max(0, limit - timestamps.length), resetAtMs, retryAtMs - now)
+        };
+    }
+
+    for (let i = 0; i < units; i++) {
+        timestamps.push(now);
+    }
+
+    return {
+        state: timestamps,
+        result: buildResult(true, timestamps.length, limit - timestamps.length, resetAtMs, 0)
+    };
+}
+
+function isExpired(state, now, windowMs) {
+    return prune(state, now, windowMs).length === 0;
+}
+
+function count(state, now, windowMs) {
+    return prune(state, now, windowMs).length;
+}
+
+// Sorted set: score = timestamp, member = unique request ID
+const lua = `
+local function check(key, now, limit, window, member, commit, cost)
+    local units = math.ceil(cost)
+    redis.call('ZREMRANGEBYSCORE', key, 0, now - window)
+    local count = redis.call('ZCARD', key)
+
+    local reset = now + window
+    local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+    if oldest[2] then
+        reset = tonumber(oldest[2]) + window
+    end
+
+    if count + units > limit then
+        local retryAt = reset
+        if units <= limit and count + units - limit >= 1 then
+            local freeing = redis.call('ZRANGE', key, count + units - limit - 1, count + units - limit - 1, 'WITHSCORES')
+            if freeing[2] then
+                retryAt = tonumber(freeing[2]) + window
+            end
+        end
+        return { 0, count, math.max(0, limit - count), reset, retryAt - now }
+    end
+
+    if commit then
+        for i = 1, units do
+            redis.call('ZADD', key, now, member .. ':' .. i)
+        end
+        redis.call('PEXPIRE', key, window * 2)
+    end
+    return { 1, count + units, limit - count - units, reset, 0 }
+end
+`;
+
+// Read-only usage lookup: ARGV = [now, windowMs] → { exists, current }
+const peekScript = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+    return { 0, 0 }
+end
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+return { 1, redis.call('ZCOUNT', KEYS[1], '(' .. (now - window), '+inf') }
+`;
+
+module.exports = {
+    name: 'sliding-window',
+    consume,
+    isExpired,
+    count,
+    lua,
+    peekScript
+};
@@ -0,0 +1,117 @@
+/**
+ * Token bucket
+ * The bucket holds up to `limit` tokens and refills at limit / windowMs per ms
+ *
+ * O(1) memory per identity; allows bursts up to the full limit.
+ * State: { tokens, ts, limit } (Redis: hash with the same fields)
+ */
+
+const { buildResult } = require('./result');
+
+// Tolerance (in tokens) when checking whether a cost fits: the refill computed at
+// now + retryAfterMs can land a rounding error short of the cost
+const EPSILON = 1e-9;
+
+/**
+ * Consume tokens (one per unit of cost)
+ * @param {object|undefined} state - { tokens, ts, limit }
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} limit - Bucket capacity
+ * @param {number} windowMs - Time to refill an empty bucket
+ * @param {number} [cost=1] - Tokens this request consumes
+ * @returns {object} - { state, result }
+ */
+function consume(state, now, limit, windowMs, cost = 1) {
+    if (limit <= 0) {
+        // An empty bucket never refills: reject, retry after a window like the other algorithms
+        return {
+            state: { tokens: 0, ts: now, limit: 0 },
+            result: buildResult(false, 0, 0, now + windowMs, windowMs)
+        };
+    }
+
+    const rate = limit / windowMs;
+    let tokens = state ? state.tokens : limit;
+    const ts = state ? state.ts : now;
+
+    // Refill for the time elapsed since the last request
+    tokens = Math.min(limit, tokens + (now - ts) * rate);
+
+    const allowed = tokens >= cost - EPSILON;
+    let retryAfterMs = 0;
+    if (allowed) {
+        tokens = Math.max(0, tokens - cost);
+    } else {
+        // A cost above the bucket size can never fit: report a full refill
+        retryAfterMs = Math.ceil((Math.min(cost, limit) - tokens) / rate);
+    }
+
+    const remaining = Math.floor(tokens);
+    const resetAtMs = now + Math.ceil((limit - tokens) / rate);
+
+    return {
+        state: { tokens, ts: now, limit },
+        result: buildResult(allowed, limit - remaining, remaining, resetAtMs, retryAfterMs)
+    };
+}
+
+function isExpired(state, now, windowMs) {
+    // An idle bucket is completely refilled after one window
+    return now - state.ts >= windowMs;
+}
+
+function count(state, now, windowMs) {
+    const tokens = Math.min(state.limit, state.tokens + (now - state.ts) * (state.limit / windowMs));
+    return Math.ceil(state.limit - tokens);
+}
+
+const lua = `
+local function check(key, now, limit, window, member, commit, cost)
+    if limit <= 0 then
+        return { 0, 0, 0, now + window, window }
+    end
+
+    local rate = limit / window
+
+    local state = redis.call('HMGET', key, 'tokens', 'ts')
+    local tokens = tonumber(state[1]) or limit
+    local ts = tonumber(state[2]) or now
+    tokens = math.min(limit, tokens + (now - ts) * rate)
+
+    local allowed = 0
+    local retry = 0
+    if tokens >= cost - ${EPSILON} then
+        tokens = math.max(0, tokens - cost)
+        allowed = 1
+    else
+        retry = math.ceil((math.min(cost, limit) - tokens) / rate)
+    end
+
+    if commit then
+        redis.call('HSET', key, 'tokens', tostring(tokens), 'ts', now, 'limit', limit)
+        redis.call('PEXPIRE', key, window)
+    end
+
+    local remaining = math.floor(tokens)
+    return { allowed, limit - remaining, remaining, now + math.ceil((limit - tokens) / rate), retry }
+end
+`;
+
+const peekScript = `
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts', 'limit')
+if tonumber(state[1]) == nil then
+    return { 0, 0 }
+end
+local limit = tonumber(state[3])
+local tokens = math.min(limit, tonumber(state[1]) + (tonumber(ARGV[1]) - tonumber(state[2])) * (limit / tonumber(ARGV[2])))
+return { 1, math.ceil(limit - tokens) }
+`;
+
+module.exports = {
+    name: 'token-bucket',
+    consume,
+    isExpired,
+    count,
+    lua,
+    peekScript
+};
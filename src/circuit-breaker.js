@@ -0,0 +1,137 @@
+/**
+ * Circuit breaker for remote stores (Redis)
+ *
+ * States:
+ * - closed: calls go through; consecutive failures are counted
+ * - open: calls fail fast without touching the store, until the next probe
+ * - half-open: the store answered a probe (isReady()); the next call decides
+ *   whether to close (success) or re-open (failure)
+ *
+ * Emits 'stateChange' ({ from, to, error }) on every transition, plus the new
+ * state name ('open', 'half-open', 'closed') so alerts can subscribe to one event.
+ */
+
+const { EventEmitter } = require('events');
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 10000;
+
+class CircuitBreaker extends EventEmitter {
+    /**
+     * @param {Object} [options={}]
+     * @param {number} [options.failureThreshold=5] - Consecutive failures before opening
+     * @param {number} [options.resetTimeoutMs=10000] - Time open before probing again
+     * @param {Function} [options.probe] - async () => boolean, e.g. store.isReady()
+     */
+    constructor(options = {}) {
+        super();
+        this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+        this.resetTimeoutMs = options.resetTimeoutMs || DEFAULT_RESET_TIMEOUT_MS;
+        this.probe = options.probe || (async () => true);
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.nextProbeAt = 0;
+        this.probing = false;
+    }
+
+    /**
+     * Run a store call through the breaker
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} - Result of fn
+     * @throws {Error} - The store error, or a circuit open error (`error.circuitOpen`)
+     */
+    async execute(fn) {
+        if (this.state === 'open') {
+            await this._tryProbe();
+        }
+
+        try {
+            const result = await fn();
+            this._onSuccess();
+            return result;
+        } catch (error) {
+            this._onFailure(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Seconds until the next probe while open (0 otherwise)
+     * @returns {number}
+     */
+    retryAfter() {
+        if (this.state !== 'open') return 0;
+        return Math.max(1, Math.ceil((this.nextProbeAt - Date.now()) / 1000));
+    }
+
+    /**
+     * Probe the store when the open period is over; throws while the circuit stays open
+     * @private
+     */
+    async _tryProbe() {
+        if (Date.now() < this.nextProbeAt || this.probing) {
+            throw this._openError();
+        }
+
+        // One probe at a time; concurrent calls keep failing fast
+        this.probing = true;
+        let ready = false;
+        try {
+            ready = await this.probe();
+        } catch (error) {
+            ready = false;
+        } finally {
+            this.probing = false;
+        }
+
+        if (!ready) {
+            this.nextProbeAt = Date.now() + this.resetTimeoutMs;
+            throw this._openError();
+        }
+        this._transition('half-open');
+    }
+
+    /**
+     * @private
+     */
+    _onSuccess() {
+        this.failures = 0;
+        if (this.state !== 'closed') {
+            this._transition('closed');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onFailure(error) {
+        this.failures++;
+        if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            this.nextProbeAt = Date.now() + this.resetTimeoutMs;
+            this._transition('open', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _transition(to, error) {
+        const from = this.state;
+        this.state = to;
+        this.emit('stateChange', { from, to, error });
+        this.emit(to, { from, error });
+    }
+
+    /**
+     * @private
+     */
+    _openError() {
+        const error = new Error('[ratewarden] Circuit breaker is open, store calls are suspended');
+        error.circuitOpen = true;
+        return error;
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitBreaker = CircuitBreaker;
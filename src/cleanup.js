@@ -4,12 +4,39 @@
  */
 
 class CleanupManager {
-    constructor(limiter, intervalMs = 60000) {
+    /**
+     * @param {object} limiter - Store (or legacy limiter) with cleanup()
+     * @param {number} [intervalMs=60000] - Time between sweeps
+     * @param {Function} [onCleanup] - Called after each sweep with { removed, remaining, durationMs }
+     */
+    constructor(limiter, intervalMs = 60000, onCleanup = null) {
         this.limiter = limiter;
         this.intervalMs = intervalMs;
+        this.onCleanup = onCleanup;
         this.intervalId = null;
     }
 
+    /**
+     * Run one sweep now
+     */
+    run() {
+        // Support both old limiter and new store interface
+        if (typeof this.limiter.cleanup !== 'function') {
+            return;
+        }
+
+        const started = process.hrtime.bigint();
+        const removed = this.limiter.cleanup();
+
+        if (this.onCleanup) {
+            this.onCleanup({
+                removed: typeof removed === 'number' ? removed : 0,
+                remaining: this.limiter.requests ? this.limiter.requests.size : undefined,
+                durationMs: Number(process.hrtime.bigint() - started) / 1e6
+            });
+        }
+    }
+
     /**
      * Start periodic cleanup
      */
@@ -18,12 +45,7 @@ class CleanupManager {
             return; // Already running
         }
 
-        this.intervalId = setInterval(() => {
-            // Support both old limiter and new store interface
-            if (typeof this.limiter.cleanup === 'function') {
-                this.limiter.cleanup();
-            }
-        }, this.intervalMs);
+        this.intervalId = setInterval(() => this.run(), this.intervalMs);
 
         // Don't keep process alive just for cleanup
         if (this.intervalId.unref) {
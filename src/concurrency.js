@@ -0,0 +1,94 @@
+/**
+ * Aggregate in-flight (concurrency) limits
+ *
+ * Caps how many requests are being processed at once, per tier (all guests
+ * together) and overall. A slot is leased when a request is allowed and released
+ * when its response finishes or the connection closes. Leases expire after
+ * `timeoutMs` so a crashed process cannot hold slots forever.
+ *
+ * Slots live in the store: a Map of leases in memory, a sorted set per scope in
+ * Redis (member = lease token, score = lease expiry).
+ */
+
+// Scope of the limit across all tiers
+const ALL_SCOPE = '*';
+
+/**
+ * Compile the `concurrency` option
+ * @param {Object} [option] - { tiers: { guest: 50 }, max: 1000, timeoutMs: 60000 }
+ * @returns {Object|null} - { tiers, max, timeoutMs }, or null when disabled
+ * @throws {Error} - On non-positive limits
+ */
+function compileConcurrency(option) {
+    if (!option) return null;
+
+    const tiers = option.tiers || {};
+    const limits = Object.keys(tiers).map(tier => [`concurrency.tiers.${tier}`, tiers[tier]]);
+    if (option.max !== undefined) limits.push(['concurrency.max', option.max]);
+
+    if (limits.length === 0) {
+        throw new Error('[ratewarden] concurrency needs tiers or max');
+    }
+    for (const [name, value] of limits) {
+        if (typeof value !== 'number' || !(value > 0)) {
+            throw new Error(`[ratewarden] ${name} must be a positive number`);
+        }
+    }
+
+    return {
+        tiers,
+        max: option.max === undefined ? Infinity : option.max,
+        timeoutMs: option.timeoutMs || 60000
+    };
+}
+
+/**
+ * Slots a request of the given tier needs
+ * @param {Object} concurrency - Compiled options
+ * @param {string} tier - Tier of the request
+ * @returns {Array<Object>} - [{ scope, limit }]
+ */
+function getSlots(concurrency, tier) {
+    const slots = [];
+    const limit = concurrency.tiers[tier];
+    if (limit !== undefined && limit !== Infinity) {
+        slots.push({ scope: tier, limit });
+    }
+    if (concurrency.max !== Infinity) {
+        slots.push({ scope: ALL_SCOPE, limit: concurrency.max });
+    }
+    return slots;
+}
+
+/**
+ * Lease one slot in every scope, or none of them
+ * KEYS = one sorted set per scope
+ * ARGV = [now, token, timeoutMs, limit1, limit2, ...]
+ * Returns {1, 0, 0} when leased, {0, index, inFlight} for the first full scope (1-based)
+ */
+const ACQUIRE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local token = ARGV[2]
+local timeoutMs = tonumber(ARGV[3])
+
+for i, key in ipairs(KEYS) do
+    redis.call('ZREMRANGEBYSCORE', key, '-inf', now)
+    local inFlight = redis.call('ZCARD', key)
+    if inFlight >= tonumber(ARGV[3 + i]) then
+        return {0, i, inFlight}
+    end
+end
+
+for i, key in ipairs(KEYS) do
+    redis.call('ZADD', key, now + timeoutMs, token)
+    redis.call('PEXPIRE', key, timeoutMs)
+end
+return {1, 0, 0}
+`;
+
+module.exports = {
+    ALL_SCOPE,
+    compileConcurrency,
+    getSlots,
+    ACQUIRE_SCRIPT
+};
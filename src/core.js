@@ -0,0 +1,1312 @@
+/**
+ * Framework-agnostic rate limiting core
+ *
+ * Runs the identity → tier → store → decision pipeline without touching any
+ * framework response object. Adapters (Express, Fastify, Koa) call consume()
+ * and apply the returned decision using their own response APIs.
+ *
+ * The limiter is an EventEmitter:
+ * - 'allowed' / 'blocked' → { request, key, source, tier, rule, limit, current, remaining, cost, retryAfter, list, durationMs }
+ * - 'nearLimit' → same payload, once per identity when usage crosses nearLimitThreshold
+ * - 'storeError' → { request, error, failureMode, circuitOpen, fallback, durationMs }
+ * - 'cleanup' → { store, removed, remaining, durationMs } after each memory store sweep
+ * - 'configReload' → { source, tiers, overrides, rules } when a runtime configuration is applied
+ * - 'configError' → { source, error } when one is rejected (the previous one stays live)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { resolveIdentity, compileIdentityChain, getClientIP, PROXY_HEADERS } = require('./identity');
+const { compileTrust } = require('./ip');
+const { compileJwt } = require('./jwt');
+const { resolveTier, getTierLimit, getTierWindows, DEFAULT_TIERS, DEFAULT_WINDOW_MS } = require('./tier');
+const { HEADER_MODES, getRateLimitHeaders, build429Body } = require('./headers');
+const CleanupManager = require('./cleanup');
+const createMemoryStore = require('./stores/memory');
+const createRedisStore = require('./stores/redis');
+const { DEFAULT_ALGORITHM } = require('./algorithms');
+const { defaultRegistry } = require('./metrics');
+const { compileRules, matchRule } = require('./rules');
+const { compileDimensions, getDimensionChecks, IDENTITY_DIMENSION, SUBNET_DIMENSION } = require('./dimensions');
+const { combineResults } = require('./algorithms/result');
+const { LIST_NAMES, AccessList, normalizeEntries, assertListName } = require('./access-list');
+const { compilePenalty } = require('./penalty');
+const { compileConcurrency, getSlots } = require('./concurrency');
+const { parseConfig, readConfigFile, compileConfig } = require('./dynamic-config');
+const { validateOptions, FALLBACK_TIER } = require('./options');
+const { renderRejection } = require('./responses');
+const CircuitBreaker = require('./circuit-breaker');
+
+// What to do when the store cannot be reached
+const FAILURE_MODES = ['open', 'closed', 'fallback'];
+
+// What to do with rate limited requests: answer 429 or hold them until there is room
+const MODES = ['reject', 'delay'];
+
+class RateLimiter extends EventEmitter {
+    /**
+     * @param {Object} [options={}] - Same options as rateGuard()
+     */
+    constructor(options = {}) {
+        super();
+
+        // Fail fast on misspelled options, wrong types and unknown tier names
+        validateOptions(options, { tiers: DEFAULT_TIERS, windowMs: DEFAULT_WINDOW_MS });
+
+        // Configuration with sensible defaults
+        this.config = {
+            windowMs: options.windowMs || DEFAULT_WINDOW_MS,
+            tiers: options.tiers || DEFAULT_TIERS,
+            algorithm: options.algorithm || DEFAULT_ALGORITHM,
+            // Units each request consumes (number or req => number)
+            cost: options.cost === undefined ? 1 : options.cost,
+            resolveTier: options.resolveTier,
+            keyGenerator: options.keyGenerator,
+            onLimitReached: options.onLimitReached,
+            redisClient: options.redisClient,
+            redisPrefix: options.redisPrefix || 'ratewarden:',
+            // Store failure policy: allow (open), reject (closed) or use a local memory store
+            failureMode: options.failureMode || 'open',
+            failureStatusCode: options.failureStatusCode || 503,
+            // Status for blocklisted callers
+            blockStatusCode: options.blockStatusCode || 403,
+            // Fraction of the limit at which 'nearLimit' fires
+            nearLimitThreshold: options.nearLimitThreshold || 0.8,
+            // 429 bodies: custom message (string, body or function) and whether tier
+            // names and counts are shown
+            message: options.message,
+            exposeDetails: options.exposeDetails !== false,
+            // Rate limit header format (true: 'draft-6', false: 'none')
+            headers: options.headers === undefined || options.headers === true
+                ? 'draft-6'
+                : options.headers || 'none',
+            // Metrics registry (false disables recording)
+            metrics: options.metrics === false ? null : options.metrics || defaultRegistry
+        };
+
+        assertFailureMode(this.config.failureMode, 'failureMode');
+        if (!HEADER_MODES.includes(this.config.headers)) {
+            throw new Error(`[ratewarden] Unknown headers format '${this.config.headers}'. Expected one of: ${HEADER_MODES.join(', ')}`);
+        }
+
+        // How IP identities are derived: trusted proxies and address aggregation
+        this.identityOptions = {
+            trust: compileTrust(options.trustProxy),
+            proxyHeader: (options.proxyHeader || 'x-forwarded-for').toLowerCase(),
+            ipv6Subnet: options.ipv6Subnet === undefined ? 64 : options.ipv6Subnet,
+            ipv4Subnet: normalizeSubnetOption(options.ipv4Subnet),
+            // Identity (and tier) from JWT claims
+            jwt: compileJwt(options.jwt)
+        };
+        if (!PROXY_HEADERS.includes(this.identityOptions.proxyHeader)) {
+            throw new Error(`[ratewarden] Unknown proxyHeader '${options.proxyHeader}'. Expected one of: ${PROXY_HEADERS.join(', ')}`);
+        }
+        if (options.identity) {
+            // Ordered extractor chain replacing the default token → user ID → IP order
+            this.identityOptions.chain = compileIdentityChain(options.identity, this.identityOptions);
+        }
+
+        // Per-route/per-method rules sharing this limiter's store
+        this.rules = compileRules(options.rules, this.config);
+        assertRuleFailureModes(this.rules);
+
+        // Tiers and rules as passed in; a runtime configuration (dynamicConfig) replaces
+        // them together with per-identity overrides (Map<identityKey, { tier?, limit? }>)
+        this.baseConfig = { tiers: this.config.tiers, windowMs: this.config.windowMs, rules: options.rules };
+        this.overrides = new Map();
+        this.configSource = null;
+        this.configReady = Promise.resolve();
+
+        // Extra limits (per IP, per route, global, per-tier totals, ...) checked with the identity's
+        this.dimensions = compileDimensions(options.dimensions, this.config, options.aggregate);
+
+        // Temporary bans for identities that keep getting rejected
+        this.penalty = compilePenalty(options.penalty);
+
+        // In-flight request caps per tier and overall
+        this.concurrency = compileConcurrency(options.concurrency);
+
+        // mode 'delay': queue rate limited requests (bounded per identity) instead of rejecting them
+        const mode = options.mode || 'reject';
+        if (!MODES.includes(mode)) {
+            throw new Error(`[ratewarden] Unknown mode '${mode}'. Expected one of: ${MODES.join(', ')}`);
+        }
+        const delay = options.delay || {};
+        this.delay = mode === 'delay'
+            ? { maxWaitMs: delay.maxWaitMs || 5000, maxQueue: delay.maxQueue || 10 }
+            : null;
+        // Requests currently waiting, per identity (Map<identityKey, count>)
+        this.queues = new Map();
+
+        // Unconfigured tier names already warned about (once per name)
+        this.unknownTiers = new Set();
+
+        // Callers that skip the limiter (allowlist) or are always rejected (blocklist)
+        this.lists = {
+            allowlist: new AccessList(options.allowlist),
+            blocklist: new AccessList(options.blocklist)
+        };
+        this.listSyncId = null;
+        this.listsReady = Promise.resolve();
+        // Whether the local entries were pushed to the shared Redis lists
+        this.listsSeeded = false;
+
+        this.cleanup = null;
+        this.breaker = null;
+        // Local memory store for failureMode 'fallback' (created on first failure)
+        this.fallbackStore = null;
+        this.fallbackCleanup = null;
+
+        if (this.config.redisClient) {
+            // Use Redis store for distributed rate limiting
+            try {
+                this.store = createRedisStore(this.config.redisClient, {
+                    windowMs: this.config.windowMs,
+                    prefix: this.config.redisPrefix,
+                    algorithm: this.config.algorithm
+                });
+                // Redis handles cleanup via TTL, no need for CleanupManager
+            } catch (error) {
+                throw new Error(`[ratewarden] Failed to initialize Redis store: ${error.message}`);
+            }
+
+            if (options.circuitBreaker !== false) {
+                // Stop hammering an unreachable Redis; probe it with isReady() instead
+                this.breaker = new CircuitBreaker({
+                    ...options.circuitBreaker,
+                    probe: () => this.store.isReady()
+                });
+                this.breaker.on('stateChange', ({ from, to }) => {
+                    console.warn(`[ratewarden] Redis circuit breaker ${from} → ${to}`);
+                });
+            }
+
+            if (options.listSyncIntervalMs !== false) {
+                // Share the lists through Redis: publish the configured entries, then
+                // pick up changes made by other instances periodically
+                this._startListSync(options.listSyncIntervalMs || 10000);
+            }
+        } else {
+            // Use in-memory store (default)
+            this.store = createMemoryStore({
+                windowMs: this.config.windowMs,
+                algorithm: this.config.algorithm
+            });
+
+            // Start automatic cleanup for memory store (prevents memory leaks)
+            this.cleanup = new CleanupManager(this.store, this.config.windowMs, (info) => {
+                this._emit('cleanup', { store: 'memory', ...info });
+            });
+            this.cleanup.start();
+        }
+
+        if (this.config.metrics) {
+            this.config.metrics.trackStore(this.store);
+        }
+
+        if (options.dynamicConfig) {
+            this._startConfigSource(options.dynamicConfig);
+        }
+    }
+
+    /**
+     * Load the runtime configuration and follow its changes
+     * @private
+     */
+    _startConfigSource(source) {
+        if (Boolean(source.file) === Boolean(source.redis)) {
+            throw new Error('[ratewarden] dynamicConfig needs either file or redis');
+        }
+
+        if (source.file) {
+            // Without a last good configuration, a bad file at startup is fatal
+            this.applyConfig(readConfigFile(source.file), source.file);
+
+            const onChange = (current, previous) => {
+                // Also called on access-time changes
+                if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+                // reloadConfig() reports failures itself
+                this.reloadConfig().catch(() => {});
+            };
+            fs.watchFile(source.file, { interval: source.watchIntervalMs || 1000, persistent: false }, onChange);
+            this.configSource = { file: source.file, close: async () => fs.unwatchFile(source.file, onChange) };
+            return;
+        }
+
+        if (!this.store.subscribeConfig) {
+            throw new Error('[ratewarden] dynamicConfig.redis needs a redisClient');
+        }
+
+        // Every instance reloads on the pub/sub notification sent by publishConfig()
+        let unsubscribe = null;
+        this.configSource = { redis: true, close: async () => unsubscribe && unsubscribe() };
+        this.configReady = this.store.subscribeConfig(() => this.reloadConfig().catch(() => {}))
+            .then((subscribed) => {
+                unsubscribe = subscribed;
+            })
+            .catch(error => console.warn('[ratewarden] Could not subscribe to config changes:', error.message))
+            // Initial load; failures are reported by reloadConfig()
+            .then(() => this.reloadConfig())
+            .catch(() => {});
+    }
+
+    /**
+     * Validate a runtime configuration document
+     * @private
+     * @returns {Object} - { tiers, overrides, rules }
+     */
+    _compileConfig(document) {
+        const compiled = compileConfig(document, this.baseConfig);
+        assertRuleFailureModes(compiled.rules);
+        return compiled;
+    }
+
+    /**
+     * Swap in a compiled configuration
+     * @private
+     */
+    _swapConfig(compiled, source, document) {
+        // Synchronous, so every request sees either the old or the new configuration
+        this.config.tiers = compiled.tiers;
+        this.rules = compiled.rules;
+        this.overrides = compiled.overrides;
+
+        this._emit('configReload', {
+            source,
+            tiers: Object.keys(compiled.tiers),
+            overrides: Object.keys(document.overrides || {}).length,
+            rules: compiled.rules.length
+        });
+    }
+
+    /**
+     * Apply a runtime configuration on this instance
+     * @param {Object} document - { tiers?, overrides?, rules? } (see dynamic-config.js)
+     * @param {string} [source='api'] - Reported in the 'configReload' event
+     * @throws {Error} - When the document is invalid (nothing is changed)
+     */
+    applyConfig(document, source = 'api') {
+        this._swapConfig(this._compileConfig(document), source, document);
+    }
+
+    /**
+     * Reload the runtime configuration from its file or Redis key
+     * Invalid documents are rejected, logged and emitted as 'configError'; the
+     * current configuration stays live.
+     * @returns {Promise<boolean>} - Whether a configuration was applied (false: none in Redis yet)
+     * @throws {Error} - When the source can't be read or the document is invalid
+     */
+    async reloadConfig() {
+        const source = this.configSource;
+        if (!source) {
+            throw new Error('[ratewarden] reloadConfig needs the dynamicConfig option');
+        }
+
+        try {
+            let document;
+            if (source.file) {
+                document = readConfigFile(source.file);
+            } else {
+                const text = await this.store.getConfigDocument();
+                if (text === null) return false;
+                document = parseConfig(text);
+            }
+            this.applyConfig(document, source.file || 'redis');
+            return true;
+        } catch (error) {
+            console.error('[ratewarden] Config rejected, keeping the current one:', error.message);
+            this._emit('configError', { source: source.file || 'redis', error });
+            throw error;
+        }
+    }
+
+    /**
+     * Validate a runtime configuration, store it in Redis and reload every instance
+     * @param {Object} document - { tiers?, overrides?, rules? }
+     * @returns {Promise<void>}
+     * @throws {Error} - When the document is invalid (nothing is published) or on Redis errors
+     */
+    async publishConfig(document) {
+        if (!this.store.saveConfigDocument) {
+            throw new Error('[ratewarden] publishConfig needs a redisClient');
+        }
+
+        // Validate what other instances will read back (e.g. Infinity does not survive JSON)
+        const text = JSON.stringify(document);
+        const parsed = JSON.parse(text);
+        const compiled = this._compileConfig(parsed);
+        await this.store.saveConfigDocument(text);
+        this._swapConfig(compiled, 'api', parsed);
+    }
+
+    /**
+     * Resolve identity for a request
+     * @private
+     */
+    _resolveIdentity(context) {
+        if (this.config.keyGenerator) {
+            // Use custom key generator if provided
+            return { key: this.config.keyGenerator(context), source: 'custom' };
+        }
+        // Use default identity resolution (token → user ID → IP)
+        return resolveIdentity(context, this.identityOptions);
+    }
+
+    /**
+     * Warn once per name about a resolved tier missing from the tier table
+     * @private
+     */
+    _warnUnknownTier(tier) {
+        if (this.unknownTiers.has(tier)) return;
+        this.unknownTiers.add(tier);
+        console.warn(
+            `[ratewarden] Tier '${tier}' is not configured, using the '${FALLBACK_TIER}' limits. `
+            + `Add it to tiers or fix resolveTier (configured: ${Object.keys(this.config.tiers).join(', ')})`
+        );
+    }
+
+    /**
+     * Push configured list entries to Redis and start polling the shared lists
+     * @private
+     */
+    _startListSync(intervalMs) {
+        this.listsReady = this.syncLists()
+            .catch(error => console.warn('[ratewarden] Could not share lists through Redis:', error.message));
+
+        this.listSyncId = setInterval(() => {
+            this.syncLists().catch(error => console.warn('[ratewarden] List sync failed:', error.message));
+        }, intervalMs);
+
+        // Don't keep the process alive just for list sync
+        if (this.listSyncId.unref) {
+            this.listSyncId.unref();
+        }
+    }
+
+    /**
+     * Reload the allowlist and blocklist from Redis (no-op with the memory store)
+     * The local entries are pushed first, until that succeeds once: replacing the
+     * local lists with Redis sets that were never seeded (Redis down at startup)
+     * would drop the configured entries.
+     * @returns {Promise<void>}
+     */
+    async syncLists() {
+        if (!this.store.getListEntries) return;
+
+        if (!this.listsSeeded) {
+            await Promise.all(LIST_NAMES.map(name => this.store.addListEntries(name, this.lists[name].list())));
+            this.listsSeeded = true;
+        }
+
+        const [allowlist, blocklist] = await Promise.all(LIST_NAMES.map(name => this.store.getListEntries(name)));
+        this.lists.allowlist.set(allowlist);
+        this.lists.blocklist.set(blocklist);
+    }
+
+    /**
+     * Entries of the allowlist or blocklist
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @returns {string[]}
+     */
+    getList(name) {
+        assertListName(name);
+        return this.lists[name].list();
+    }
+
+    /**
+     * Add entries to a list (shared with other instances through Redis)
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @param {string|string[]} entries - IPs/CIDRs/presets, 'key:<identity>' or 'apiKey:<key>'
+     * @returns {Promise<void>}
+     * @throws {Error} - On invalid entries or Redis errors (the list is then unchanged)
+     */
+    async addToList(name, entries) {
+        assertListName(name);
+        const normalized = normalizeEntries(entries);
+        if (this.store.addListEntries) {
+            await this.store.addListEntries(name, normalized);
+        }
+        this.lists[name].add(normalized);
+    }
+
+    /**
+     * Remove entries from a list (shared with other instances through Redis)
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @param {string|string[]} entries - Entries to remove
+     * @returns {Promise<number>} - Number of entries removed locally
+     */
+    async removeFromList(name, entries) {
+        assertListName(name);
+        const normalized = normalizeEntries(entries);
+        if (this.store.removeListEntries) {
+            await this.store.removeListEntries(name, normalized);
+        }
+        return this.lists[name].remove(normalized);
+    }
+
+    /**
+     * Replace every entry of a list (shared with other instances through Redis)
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @param {string|string[]} entries - New entries
+     * @returns {Promise<void>}
+     */
+    async setList(name, entries) {
+        assertListName(name);
+        const normalized = normalizeEntries(entries);
+        if (this.store.replaceListEntries) {
+            await this.store.replaceListEntries(name, normalized);
+        }
+        this.lists[name].set(normalized);
+    }
+
+    /**
+     * Find the list a request is on (the blocklist wins)
+     * @private
+     * @returns {Object|null} - { list, entry }
+     */
+    _matchLists(context, identity) {
+        const { allowlist, blocklist } = this.lists;
+        if (allowlist.entries.size === 0 && blocklist.entries.size === 0) return null;
+
+        const request = {
+            ip: getClientIP(context, this.identityOptions.trust, this.identityOptions.proxyHeader),
+            identityKey: identity.key,
+            apiKey: context.headers && context.headers['x-api-key']
+        };
+
+        const blocked = blocklist.match(request);
+        if (blocked) return { list: 'blocklist', entry: blocked };
+
+        const allowed = allowlist.match(request);
+        return allowed ? { list: 'allowlist', entry: allowed } : null;
+    }
+
+    /**
+     * Decision for an allowlisted or blocklisted request (the store is not touched)
+     * @private
+     */
+    _listDecision(match, identity, tier, rule) {
+        const decision = {
+            allowed: match.list === 'allowlist',
+            identity,
+            tier,
+            rule: rule ? rule.name : null,
+            cost: 0,
+            list: match.list,
+            listEntry: match.entry,
+            // Nothing is counted, so there is no quota to report in rate limit headers
+            headers: {}
+        };
+
+        if (!decision.allowed) {
+            const statusCode = this.config.blockStatusCode;
+            decision.statusCode = statusCode;
+            decision.body = statusCode === 429
+                ? { error: 'Too many requests', message: 'Access denied' }
+                : { error: 'Forbidden', message: 'Access denied' };
+        }
+        return decision;
+    }
+
+    /**
+     * Hold a rate limited request until the store has room (mode 'delay')
+     * Gives up (the request gets its 429) when the identity already has maxQueue
+     * requests waiting, when the next slot is further away than maxWaitMs allows,
+     * or when the client disconnects.
+     * @private
+     * @param {string} identityKey - Queue to wait in
+     * @param {Object} checked - Rejected check ({ result, fallback })
+     * @param {Function} check - async () => { result, fallback }, re-runs the check
+     * @param {Object} [res] - Framework response, watched for disconnects
+     * @returns {Promise<Object>} - Latest check plus { delayedMs, cancelled? }
+     */
+    async _waitForRoom(identityKey, checked, check, res) {
+        const queued = this.queues.get(identityKey) || 0;
+        if (queued >= this.delay.maxQueue) return checked;
+
+        const response = getNodeResponse(res);
+        const started = Date.now();
+        const deadline = started + this.delay.maxWaitMs;
+        this.queues.set(identityKey, queued + 1);
+
+        try {
+            let current = checked;
+            while (!current.result.allowed) {
+                const { retryAfterMs = current.result.retryAfter * 1000 } = current.result;
+                const waitMs = Math.max(1, retryAfterMs);
+                if (Date.now() + waitMs > deadline) break;
+
+                if (!(await waitUnlessClosed(waitMs, response))) {
+                    return { ...current, delayedMs: Date.now() - started, cancelled: true };
+                }
+                current = await check();
+            }
+            return { ...current, delayedMs: Date.now() - started };
+        } finally {
+            const waiting = this.queues.get(identityKey) - 1;
+            if (waiting > 0) {
+                this.queues.set(identityKey, waiting);
+            } else {
+                this.queues.delete(identityKey);
+            }
+        }
+    }
+
+    /**
+     * Lease in-flight slots for a request (concurrency option)
+     * @private
+     * @returns {Promise<Object|null>} - { lease } when leased, { full } when a scope is full,
+     *                                   null when no slot is needed
+     */
+    async _acquireSlots(context, rule, tier) {
+        const slots = getSlots(this.concurrency, tier);
+        if (slots.length === 0) return null;
+
+        const token = crypto.randomUUID();
+        const acquired = await this._withFallback(context, rule, store => this._callStore(
+            store, () => store.acquireSlots(slots, token, this.concurrency.timeoutMs)
+        ));
+        if (!acquired.result.allowed) {
+            return { full: acquired.result };
+        }
+
+        const store = acquired.fallback ? this._getFallbackStore() : this.store;
+        return { lease: { store, scopes: slots.map(slot => slot.scope), token } };
+    }
+
+    /**
+     * Idempotent release function for a lease
+     * @private
+     */
+    _releaser(lease) {
+        let released = null;
+        return () => {
+            if (!released) {
+                released = lease.store.releaseSlots(lease.scopes, lease.token).catch((error) => {
+                    // The lease expires after concurrency.timeoutMs anyway
+                    console.error('[ratewarden] Could not release in-flight slot:', error.message);
+                });
+            }
+            return released;
+        };
+    }
+
+    /**
+     * Decision for a request rejected because too many are in flight
+     * @private
+     */
+    _concurrencyDecision(full, identity, tier, rule, cost) {
+        // The in-flight cap as a 'concurrency' policy with nothing left, retried in 1s
+        const resetAtMs = Date.now() + 1000;
+        const reported = { limit: full.limit, windowMs: 1000, remaining: 0, resetTime: Math.ceil(resetAtMs / 1000), resetAtMs };
+        const headers = getRateLimitHeaders({ ...reported, policies: [{ name: 'concurrency', ...reported }] }, this.config.headers);
+        headers['Retry-After'] = '1';
+
+        const decision = {
+            allowed: false,
+            identity,
+            tier,
+            rule: rule ? rule.name : null,
+            cost,
+            limit: full.limit,
+            current: full.inFlight,
+            remaining: 0,
+            retryAfter: 1,
+            concurrency: { scope: full.scope, limit: full.limit, inFlight: full.inFlight },
+            statusCode: 429,
+            headers
+        };
+        decision.body = build429Body(decision, this.config.exposeDetails);
+        return decision;
+    }
+
+    /**
+     * Resolve the weighted cost of a request
+     * @private
+     */
+    _resolveCost(context, rule) {
+        const option = rule && rule.cost !== undefined ? rule.cost : this.config.cost;
+        const cost = typeof option === 'function' ? option(context) : option;
+
+        if (typeof cost !== 'number' || !(cost >= 0) || cost === Infinity) {
+            throw new Error(`[ratewarden] cost must be a non-negative number, got ${cost}`);
+        }
+        return cost;
+    }
+
+    /**
+     * Store checks for the limit shared by an IPv4 subnet
+     * Same keys as checking the subnet's windows on their own ({namespace}/{prefix},
+     * with a #{windowMs} suffix when there are several)
+     * @private
+     * @returns {Array<Object>} - [{ dimension, identityKey, namespace, limit, windowMs }]
+     */
+    _getSubnetChecks(subnetKey, windows, namespace) {
+        const { prefix, multiplier } = this.identityOptions.ipv4Subnet;
+        return windows
+            .filter(window => window.limit !== Infinity)
+            .map(window => ({
+                dimension: SUBNET_DIMENSION,
+                identityKey: subnetKey,
+                namespace: windows.length === 1 ? `${namespace}/${prefix}` : `${namespace}/${prefix}#${window.windowMs}`,
+                limit: window.limit * multiplier,
+                windowMs: window.windowMs
+            }));
+    }
+
+    /**
+     * Check limits in the store, through the circuit breaker
+     * @private
+     * @param {Object} store - Store to check
+     * @param {Object} plan - { identityKey, windows, namespace, cost, dimensions? }
+     */
+    _checkStore(store, plan) {
+        const { identityKey, windows, namespace, cost, dimensions } = plan;
+        let check;
+
+        if (dimensions && dimensions.length > 0) {
+            // Identity windows (same keys as checkLimit/checkLimits) and the extra
+            // dimensions in one all-or-nothing store call
+            const checks = [
+                ...windows.map(window => ({
+                    dimension: IDENTITY_DIMENSION,
+                    identityKey,
+                    namespace: windows.length === 1 ? namespace : `${namespace}#${window.windowMs}`,
+                    limit: window.limit,
+                    windowMs: window.windowMs
+                })),
+                ...dimensions
+            ];
+            const reported = checks.map(({ dimension, limit, windowMs }) => ({ dimension, limit, windowMs }));
+            check = async () => combineResults(reported, await store.checkKeys(checks, { cost }));
+        } else {
+            check = () => (windows.length === 1
+                ? store.checkLimit(identityKey, windows[0].limit, namespace, { windowMs: windows[0].windowMs, cost })
+                : store.checkLimits(identityKey, windows, namespace, { cost }));
+        }
+
+        return this._callStore(store, check);
+    }
+
+    /**
+     * Call a store, through the circuit breaker for the main store
+     * @private
+     * @param {Object} store - Store to call
+     * @param {Function} call - async () => result
+     */
+    _callStore(store, call) {
+        return this.breaker && store === this.store ? this.breaker.execute(call) : call();
+    }
+
+    /**
+     * Run a store operation, switching to the local fallback store when failureMode is 'fallback'
+     * @private
+     * @param {Function} run - store => Promise
+     * @returns {Promise<Object>} - { result, fallback }
+     */
+    async _withFallback(context, rule, run) {
+        const started = process.hrtime.bigint();
+        try {
+            return { result: await run(this.store), fallback: false };
+        } catch (error) {
+            const failureMode = rule && rule.failureMode ? rule.failureMode : this.config.failureMode;
+            if (failureMode !== 'fallback') throw error;
+
+            // Keep limiting per process while the main store is down
+            this._recordFailure(error, {
+                request: context,
+                failureMode,
+                fallback: true,
+                durationMs: Number(process.hrtime.bigint() - started) / 1e6
+            });
+            const result = await run(this._getFallbackStore());
+            return { result, fallback: true };
+        }
+    }
+
+    /**
+     * Local memory store used while the main store is failing
+     * @private
+     */
+    _getFallbackStore() {
+        if (!this.fallbackStore) {
+            this.fallbackStore = createMemoryStore({
+                windowMs: this.config.windowMs,
+                algorithm: this.config.algorithm
+            });
+            this.fallbackCleanup = new CleanupManager(this.fallbackStore, this.config.windowMs, (info) => {
+                this._emit('cleanup', { store: 'fallback', ...info });
+            });
+            this.fallbackCleanup.start();
+        }
+        return this.fallbackStore;
+    }
+
+    /**
+     * Emit an event without letting a throwing listener break the request
+     * @private
+     */
+    _emit(event, payload) {
+        try {
+            this.emit(event, payload);
+        } catch (error) {
+            console.error(`[ratewarden] Error in '${event}' listener:`, error.message);
+        }
+    }
+
+    /**
+     * Log, count and emit a store failure (circuit open errors are logged once, on the transition)
+     * @private
+     */
+    _recordFailure(error, details) {
+        if (!error.circuitOpen) {
+            console.error('[ratewarden] Error:', error.message);
+        }
+        if (this.config.metrics) {
+            this.config.metrics.recordStoreError();
+        }
+        this._emit('storeError', {
+            error,
+            circuitOpen: Boolean(error.circuitOpen),
+            ...details
+        });
+    }
+
+    /**
+     * Emit allowed/blocked (and nearLimit) for a decision
+     * @private
+     */
+    _emitDecision(context, decision, durationMs) {
+        const payload = {
+            request: context,
+            key: decision.identity.key,
+            source: decision.identity.source,
+            tier: decision.tier,
+            rule: decision.rule,
+            limit: decision.limit,
+            current: decision.current,
+            remaining: decision.remaining,
+            cost: decision.cost,
+            retryAfter: decision.retryAfter,
+            fallback: Boolean(decision.fallback),
+            list: decision.list || null,
+            durationMs
+        };
+
+        this._emit(decision.allowed ? 'allowed' : 'blocked', payload);
+
+        // Only on the request that crosses the threshold, not on every one after it
+        const threshold = decision.limit * this.config.nearLimitThreshold;
+        if (decision.allowed && decision.current >= threshold && decision.current - decision.cost < threshold) {
+            this._emit('nearLimit', { ...payload, threshold: this.config.nearLimitThreshold });
+        }
+    }
+
+    /**
+     * Decision for a request the limiter could not check
+     * @private
+     */
+    _failureDecision(error, rule) {
+        const failureMode = rule && rule.failureMode ? rule.failureMode : this.config.failureMode;
+
+        if (failureMode !== 'closed') {
+            // Fail open: allow the request without limits
+            return { allowed: true, error, headers: {} };
+        }
+
+        const statusCode = this.config.failureStatusCode;
+        const headers = {};
+        const retryAfter = this.breaker ? this.breaker.retryAfter() : 0;
+        if (retryAfter > 0) {
+            headers['Retry-After'] = String(retryAfter);
+        }
+
+        return {
+            allowed: false,
+            error,
+            statusCode,
+            headers,
+            body: statusCode === 429
+                ? { error: 'Too many requests', message: 'Rate limit could not be checked' }
+                : { error: 'Service unavailable', message: 'Rate limit could not be checked' }
+        };
+    }
+
+    /**
+     * Consume one request and decide whether it may proceed
+     *
+     * Never throws: errors are logged and attached to the decision. By default the
+     * request is then allowed (failureMode 'open'); 'closed' rejects it with
+     * failureStatusCode and 'fallback' checks a local memory store instead.
+     *
+     * @param {Object} context - Request-like object with `headers` and `ip`
+     *                           (Express/Fastify request, Koa ctx, Node IncomingMessage).
+     *                           Passed as-is to resolveTier and keyGenerator.
+     * @param {Object} [res] - Framework response, only forwarded to onLimitReached
+     * @returns {Promise<Object>} - Decision:
+     *   { allowed, identity, tier, rule, cost, limit, windowMs, current, remaining, resetTime, retryAfter,
+     *     headers, statusCode?, body?, fallback?, subnet?, dimension?, windows?, list?, listEntry?, ban?,
+     *     release?, concurrency?, delayedMs?, cancelled?, message? }
+     *   (`body` and `statusCode` are the response to send, only present when blocked: a JSON
+     *   object, or a string for text/plain and text/html clients, rendered for the request's
+     *   Accept header with the `message` option applied; `headers` then include Content-Type
+     *   and `message` is the human-readable reason;
+     *   `fallback` is true when the local fallback store decided; `subnet` is true when
+     *   the shared ipv4Subnet limit blocked the request; `dimension` names the reported
+     *   limit when `dimensions` are configured; `list` is 'allowlist' or 'blocklist' when
+     *   the request matched `listEntry` and the store was skipped; `ban` is { until, offences }
+     *   while the identity is in the penalty box; `release()` frees the in-flight slot
+     *   taken under the `concurrency` option and must be called when the response ends,
+     *   see releaseOnFinish(); `concurrency` describes the full scope when it blocked;
+     *   with mode 'delay', `delayedMs` is how long the request was held and `cancelled`
+     *   is true when the client disconnected meanwhile)
+     */
+    async consume(context, res) {
+        const decision = await this._decide(context, res);
+        if (!decision.allowed && decision.body) {
+            await this._renderRejection(decision, context);
+        }
+        return decision;
+    }
+
+    /**
+     * Render a rejected decision's body for the client (format from Accept, `message` option)
+     * Keeps the default JSON body when a custom message function throws.
+     * @private
+     */
+    async _renderRejection(decision, context) {
+        try {
+            const { body, contentType, message } = await renderRejection(decision, context, this.config);
+            decision.body = body;
+            decision.message = message;
+            decision.headers['Content-Type'] = contentType;
+            decision.headers.Vary = 'Accept';
+        } catch (error) {
+            console.error('[ratewarden] Error in message option:', error.message);
+        }
+    }
+
+    /**
+     * Decide whether a request may proceed (see consume())
+     * @private
+     */
+    async _decide(context, res) {
+        const startedAt = Date.now();
+        let rule = null;
+        let lease = null;
+
+        try {
+            // Step 1: Resolve identity (who is making this request?)
+            const identity = this._resolveIdentity(context);
+
+            // Step 2: Resolve tier (what limits should apply?)
+            // A JWT tier claim is used when it names a configured tier, then the
+            // tier of the identity step that matched
+            const claimTier = identity.tierCandidates
+                ? identity.tierCandidates.find(name => this.config.tiers[name] !== undefined)
+                : undefined;
+            const identityTier = claimTier || identity.tier;
+            // Per-identity overrides from the runtime configuration come first
+            const override = this.overrides.size > 0 ? this.overrides.get(identity.key) : undefined;
+            const tier = override && override.tier
+                ? override.tier
+                : resolveTier(context, identity.source, this.config.resolveTier, identityTier);
+
+            // Leaving out 'guest' is supported: anonymous requests share the 'free' limits
+            if (this.config.tiers[tier] === undefined && tier !== 'guest') {
+                this._warnUnknownTier(tier);
+            }
+
+            // Step 3: Get limit(s) for tier (from the matching rule, if any)
+            rule = matchRule(this.rules, context);
+
+            // Allowlisted and blocklisted callers are decided without the store
+            const listed = this._matchLists(context, identity);
+            if (listed) {
+                const decision = this._listDecision(listed, identity, tier, rule);
+                if (this.config.metrics) {
+                    this.config.metrics.recordDecision(decision);
+                }
+                this._emitDecision(context, decision, 0);
+                return decision;
+            }
+
+            // Override limits replace the tier's, except on rules (route-specific limits)
+            const windows = getTierWindows(
+                !rule && override && override.limit !== undefined
+                    ? override.limit
+                    : getTierLimit(tier, rule ? rule.tiers : this.config.tiers),
+                rule ? rule.windowMs : this.config.windowMs
+            );
+
+            // Step 4: Check rate limit (configured algorithm)
+            // Tier (and rule) is passed for key namespacing
+            const namespace = rule ? `${tier}@${rule.name}` : tier;
+            const cost = this._resolveCost(context, rule);
+            const started = process.hrtime.bigint();
+            let checked = null;
+            let ban = null;
+
+            if (this.penalty) {
+                // Banned identities are rejected without running the algorithm
+                const banned = await this._withFallback(context, rule, store => this._callStore(store, () => store.getBan(identity.key)));
+                if (banned.result) {
+                    ban = banned.result;
+                    checked = {
+                        result: { allowed: false, current: null, remaining: 0, resetTime: 0, retryAfter: 0 },
+                        fallback: banned.fallback,
+                        windows: windows.slice(0, 1),
+                        subnet: false,
+                        dimensions: false
+                    };
+                }
+            }
+
+            if (!checked && this.concurrency) {
+                // Shed load before counting anything when too many requests are in flight
+                const slots = await this._acquireSlots(context, rule, tier);
+                if (slots && slots.full) {
+                    const decision = this._concurrencyDecision(slots.full, identity, tier, rule, cost);
+                    if (this.config.metrics) {
+                        this.config.metrics.recordDecision(decision);
+                    }
+                    this._emitDecision(context, decision, Number(process.hrtime.bigint() - started) / 1e6);
+                    return decision;
+                }
+                lease = slots && slots.lease;
+            }
+
+            if (!checked) {
+                const dimensions = this.dimensions.length > 0
+                    ? getDimensionChecks(this.dimensions, { context, identity, tier, rule, identityOptions: this.identityOptions })
+                    : null;
+                // The looser limit shared by the client's IPv4 subnet is checked with the
+                // address's own windows, so requests rejected by either consume neither
+                const subnetChecks = identity.subnetKey ? this._getSubnetChecks(identity.subnetKey, windows, namespace) : [];
+                const extra = [...subnetChecks, ...(dimensions || [])];
+                const checkOwn = () => this._withFallback(context, rule, store => this._checkStore(store, {
+                    identityKey: identity.key,
+                    windows,
+                    namespace,
+                    cost,
+                    dimensions: extra
+                }));
+                let own = await checkOwn();
+                if (!own.result.allowed && this.delay) {
+                    own = await this._waitForRoom(identity.key, own, checkOwn, res);
+                }
+                checked = {
+                    ...own,
+                    windows,
+                    subnet: !own.result.allowed && own.result.dimension === SUBNET_DIMENSION,
+                    dimensions: extra.length > 0
+                };
+            }
+            const { result, fallback } = checked;
+
+            if (lease && !result.allowed) {
+                // Rejected requests give their in-flight slot back right away
+                await this._releaser(lease)();
+                lease = null;
+            }
+
+            if (!result.allowed && this.penalty && !ban && !checked.cancelled) {
+                // Count the rejection; repeat offenders are banned
+                const rejected = await this._withFallback(context, rule, store => this._callStore(store, () => store.recordRejection(identity.key, this.penalty)));
+                ban = rejected.result;
+            }
+
+            // A ban outlasts the window: report when it ends
+            const resetTime = ban ? Math.max(result.resetTime, Math.ceil(ban.until / 1000)) : result.resetTime;
+            const resetAtMs = ban ? Math.max(result.resetAtMs || 0, ban.until) : result.resetAtMs;
+            const retryAfter = ban ? Math.max(result.retryAfter, Math.ceil((ban.until - Date.now()) / 1000)) : result.retryAfter;
+
+            // Multiple windows or dimensions report the most restrictive one
+            const combined = checked.windows.length > 1 || checked.dimensions;
+            const limit = combined ? result.limit : checked.windows[0].limit;
+            const windowMs = combined ? result.windowMs : checked.windows[0].windowMs;
+            // Time spent queued (mode 'delay') is not store latency
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6 - (checked.delayedMs || 0);
+            if (this.config.metrics) {
+                this.config.metrics.recordStoreDuration(durationMs / 1000);
+            }
+
+            // Step 5: Build HTTP RateLimit headers in the configured format
+            const reported = { limit, windowMs, remaining: result.remaining, resetTime, resetAtMs };
+            const headers = getRateLimitHeaders({
+                ...reported,
+                policies: describePolicies(combined ? result.windows : null, reported, rule)
+            }, this.config.headers);
+            if (!result.allowed) {
+                headers['Retry-After'] = String(retryAfter);
+            }
+
+            const decision = {
+                allowed: result.allowed,
+                identity,
+                tier,
+                rule: rule ? rule.name : null,
+                cost,
+                limit,
+                windowMs,
+                current: result.current,
+                remaining: result.remaining,
+                resetTime,
+                retryAfter,
+                headers
+            };
+
+            if (fallback) {
+                decision.fallback = true;
+            }
+
+            if (checked.delayedMs) {
+                // mode 'delay': time the request was held before this decision
+                decision.delayedMs = checked.delayedMs;
+            }
+
+            if (checked.cancelled) {
+                // The client disconnected while queued
+                decision.cancelled = true;
+            }
+
+            if (ban) {
+                // Penalty box: { until (ms timestamp), offences }
+                decision.ban = ban;
+            }
+
+            if (lease) {
+                // Frees the in-flight slot; adapters call it on response finish/close
+                decision.release = this._releaser(lease);
+            }
+
+            if (checked.subnet) {
+                // Blocked by the shared IPv4 subnet limit, not the address's own
+                decision.subnet = true;
+            }
+
+            if (checked.dimensions && this.dimensions.length > 0) {
+                // Dimension that was exhausted (or the closest to it when allowed)
+                decision.dimension = result.dimension;
+            }
+
+            if (combined) {
+                // Per-window results ({ limit, windowMs, allowed, remaining, ..., dimension? })
+                decision.windows = result.windows;
+            }
+
+            if (!decision.allowed) {
+                // 429 response, body ready to serialize
+                decision.statusCode = 429;
+                decision.body = build429Body(decision, this.config.exposeDetails);
+            }
+
+            if (this.config.metrics) {
+                this.config.metrics.recordDecision(decision);
+            }
+            this._emitDecision(context, decision, durationMs);
+
+            // Call custom handler if provided (for logging, monitoring, etc.)
+            if (!decision.allowed && this.config.onLimitReached) {
+                this.config.onLimitReached(context, res, {
+                    tier,
+                    limit,
+                    current: result.current,
+                    retryAfter
+                });
+            }
+
+            return decision;
+        } catch (error) {
+            if (lease) {
+                await this._releaser(lease)();
+            }
+
+            // Log it, then allow or reject according to the failure mode
+            this._recordFailure(error, {
+                request: context,
+                failureMode: rule && rule.failureMode ? rule.failureMode : this.config.failureMode,
+                fallback: false,
+                durationMs: Date.now() - startedAt
+            });
+            return this._failureDecision(error, rule);
+        }
+    }
+
+    /**
+     * Stop background cleanup and close the store
+     */
+    async close() {
+        if (this.cleanup) {
+            this.cleanup.stop();
+        }
+        if (this.listSyncId) {
+            clearInterval(this.listSyncId);
+            this.listSyncId = null;
+        }
+        if (this.configSource) {
+            await this.configReady;
+            await this.configSource.close();
+            this.configSource = null;
+        }
+        if (this.fallbackStore) {
+            this.fallbackCleanup.stop();
+            await this.fallbackStore.close();
+        }
+        if (this.config.metrics) {
+            this.config.metrics.untrackStore(this.store);
+        }
+        await this.store.close();
+    }
+}
+
+/**
+ * Normalize the ipv4Subnet option (true, a prefix length or { prefix, multiplier })
+ * @private
+ */
+function normalizeSubnetOption(option) {
+    if (!option) return null;
+
+    const { prefix = 24, multiplier = 10 } = typeof option === 'object'
+        ? option
+        : { prefix: option === true ? 24 : option };
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+        throw new Error('[ratewarden] ipv4Subnet prefix must be an integer between 0 and 32');
+    }
+    return { prefix, multiplier };
+}
+
+/**
+ * Named quota policies for the RateLimit headers, one per window
+ * Identity windows are named after the rule ('default' without one), dimension
+ * windows after the dimension; several windows of one name get a '-<seconds>s' suffix.
+ * @private
+ * @param {Array<Object>|null} windows - Per-window results, or null for a single window
+ * @param {Object} reported - { limit, windowMs, remaining, resetTime, resetAtMs } of the single window
+ * @param {Object|null} rule - Matched rule
+ * @returns {Array<Object>} - [{ name, limit, windowMs, remaining, resetTime, resetAtMs }]
+ */
+function describePolicies(windows, reported, rule) {
+    const base = rule ? rule.name : 'default';
+    const policies = (windows || [reported]).map(window => ({
+        name: window.dimension && window.dimension !== IDENTITY_DIMENSION ? window.dimension : base,
+        limit: window.limit,
+        windowMs: window.windowMs,
+        remaining: window.remaining,
+        resetTime: window.resetTime,
+        resetAtMs: window.resetAtMs
+    }));
+
+    const counts = new Map();
+    policies.forEach(policy => counts.set(policy.name, (counts.get(policy.name) || 0) + 1));
+    for (const policy of policies) {
+        if (counts.get(policy.name) > 1) {
+            policy.name = `${policy.name}-${Math.ceil(policy.windowMs / 1000)}s`;
+        }
+    }
+    return policies;
+}
+
+/**
+ * Validate the failureMode of compiled rules
+ * @private
+ */
+function assertRuleFailureModes(rules) {
+    for (const rule of rules) {
+        if (rule.failureMode) assertFailureMode(rule.failureMode, `rules '${rule.name}' failureMode`);
+    }
+}
+
+/**
+ * Validate a failureMode option
+ * @private
+ */
+function assertFailureMode(value, name) {
+    if (!FAILURE_MODES.includes(value)) {
+        throw new Error(`[ratewarden] ${name} must be one of ${FAILURE_MODES.map(mode => `'${mode}'`).join(', ')}, got '${value}'`);
+    }
+}
+
+/**
+ * Factory function to create a framework-agnostic limiter
+ * @param {Object} [options={}] - Same options as rateGuard()
+ * @returns {RateLimiter} - Limiter instance
+ *
+ * @example
+ * const limiter = createLimiter({ tiers: { guest: 10 } });
+ * const decision = await limiter.consume({ headers: req.headers, ip: clientIp });
+ * if (!decision.allowed) { ... }
+ */
+function createLimiter(options = {}) {
+    return new RateLimiter(options);
+}
+
+/**
+ * Attach a limiter to the middleware/handler an adapter returns
+ * Sets `.limiter` and forwards on/once/off so events can be subscribed on the
+ * returned function directly: `ratewarden().on('blocked', ...)`
+ * @param {Function} target - Middleware or handler
+ * @param {RateLimiter} limiter - Limiter behind it
+ * @returns {Function} - target
+ */
+function exposeLimiter(target, limiter) {
+    target.limiter = limiter;
+    for (const method of ['on', 'once', 'off']) {
+        target[method] = (event, listener) => {
+            limiter[method](event, listener);
+            return target;
+        };
+    }
+    return target;
+}
+
+/**
+ * Node ServerResponse behind a framework response (Express res, Koa ctx, Fastify reply)
+ * @private
+ */
+function getNodeResponse(res) {
+    if (!res) return null;
+    const response = res.raw || res.res || res;
+    return typeof response.once === 'function' ? response : null;
+}
+
+/**
+ * Wait, unless the response closes first (client disconnect)
+ * @private
+ * @returns {Promise<boolean>} - false when the response closed
+ */
+function waitUnlessClosed(ms, response) {
+    if (response && response.destroyed) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+        const onClose = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            if (response) response.removeListener('close', onClose);
+            resolve(true);
+        }, ms);
+        if (response) response.once('close', onClose);
+    });
+}
+
+/**
+ * Release a decision's in-flight slot when the response finishes or the connection closes
+ * @param {Object} response - Node ServerResponse (Express res, Koa ctx.res, Fastify reply.raw)
+ * @param {Object} decision - Decision from consume()
+ */
+function releaseOnFinish(response, decision) {
+    if (!decision.release || !response || typeof response.once !== 'function') return;
+
+    // release() is idempotent: 'close' also fires after 'finish'
+    response.once('finish', decision.release);
+    response.once('close', decision.release);
+}
+
+module.exports = createLimiter;
+module.exports.createLimiter = createLimiter;
+module.exports.RateLimiter = RateLimiter;
+module.exports.exposeLimiter = exposeLimiter;
+module.exports.releaseOnFinish = releaseOnFinish;
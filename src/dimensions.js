@@ -0,0 +1,161 @@
+/**
+ * Composite limit dimensions
+ *
+ * Besides the identity's tier limit, a request can be counted against several
+ * independent keys at once, e.g. per IP, per (identity, route) and a global
+ * ceiling. All of them are checked in one store call and the request is only
+ * recorded when every dimension has room; the decision reports the dimension
+ * that ran out.
+ *
+ * Built-in keys:
+ * - 'ip': the client address (normalized like IP identities)
+ * - 'identity+route': the identity on the matched rule, or on "METHOD /path"
+ * - 'tier': one counter per tier, shared by all identities of the tier
+ * - 'global': one counter shared by every request
+ * - (req, identity) => string: custom key (null/undefined skips the dimension)
+ *
+ * The `aggregate` option is shorthand for 'tier' and 'global' dimensions, so a
+ * wave of distinct identities each under its own limit still sheds load.
+ */
+
+const { extractFromIP } = require('./identity');
+const { getRequestPath } = require('./rules');
+const { getTierWindows } = require('./tier');
+
+// Reported name of the tier limit keyed by the identity
+const IDENTITY_DIMENSION = 'identity';
+
+// Reported name of the limit shared by an IPv4 subnet (ipv4Subnet option)
+const SUBNET_DIMENSION = 'subnet';
+
+// Built-in keys, called with { context, identity, tier, rule, identityOptions }
+const KEYS = {
+    ip: ({ context, identity, identityOptions }) => (identity.source === 'ip'
+        ? identity.key
+        : extractFromIP(context, identityOptions).key),
+    'identity+route': ({ context, identity, rule }) => {
+        const route = rule
+            ? rule.name
+            : `${String(context.method || 'GET').toUpperCase()} ${getRequestPath(context)}`;
+        return `${identity.key}|${route}`;
+    },
+    tier: ({ tier }) => tier,
+    global: () => 'all'
+};
+
+/**
+ * Compile the `dimensions` (and `aggregate`) options
+ * @param {Array<Object>} [dimensions] - Dimension definitions
+ * @param {Object} defaults - { windowMs } of the limiter
+ * @param {Object} [aggregate] - `aggregate` option (see aggregateDimensions())
+ * @returns {Array<Object>} - Compiled dimensions ({ name, key, limit, tiers, windowMs })
+ * @throws {Error} - On missing names/limits, duplicate names or unknown keys
+ *
+ * @example
+ * compileDimensions([
+ *   { name: 'ip', key: 'ip', limit: 1000 },
+ *   { name: 'route', key: 'identity+route', tiers: { free: 30, pro: 300 } },
+ *   { name: 'global', key: 'global', limit: [{ limit: 500, windowMs: 1000 }] }
+ * ], { windowMs });
+ */
+function compileDimensions(dimensions, defaults, aggregate) {
+    if (dimensions && !Array.isArray(dimensions)) {
+        throw new Error('[ratewarden] dimensions must be an array');
+    }
+
+    const names = new Set([IDENTITY_DIMENSION, SUBNET_DIMENSION]);
+    const list = [...(dimensions || []), ...aggregateDimensions(aggregate)];
+
+    return list.map((dimension, index) => {
+        const name = dimension && dimension.name;
+        if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+            throw new Error(`[ratewarden] dimensions[${index}] needs a name of letters, digits, '_', '-' and '.'`);
+        }
+        if (names.has(name)) {
+            throw new Error(`[ratewarden] Duplicate dimension name '${name}'`);
+        }
+        names.add(name);
+
+        const key = typeof dimension.key === 'function'
+            ? request => dimension.key(request.context, request.identity)
+            : KEYS[dimension.key];
+        if (!key) {
+            throw new Error(`[ratewarden] dimensions[${index}] has unknown key '${dimension.key}'. Expected one of: ${Object.keys(KEYS).join(', ')} or a function`);
+        }
+
+        if (dimension.limit === undefined && !dimension.tiers) {
+            throw new Error(`[ratewarden] dimensions[${index}] needs a limit or a tiers table`);
+        }
+
+        return {
+            name,
+            key,
+            limit: dimension.limit,
+            tiers: dimension.tiers || null,
+            windowMs: dimension.windowMs || defaults.windowMs
+        };
+    });
+}
+
+/**
+ * Dimensions for the `aggregate` option
+ * @param {Object} [aggregate] - { tiers: { guest: 2000 }, max: 50000, windowMs }
+ *                               (values are limits or windows, like tier values)
+ * @returns {Array<Object>} - Dimension definitions ('aggregate' per tier, 'aggregate-all')
+ */
+function aggregateDimensions(aggregate) {
+    if (!aggregate) return [];
+
+    const dimensions = [];
+    if (aggregate.tiers) {
+        dimensions.push({ name: 'aggregate', key: 'tier', tiers: aggregate.tiers, windowMs: aggregate.windowMs });
+    }
+    if (aggregate.max !== undefined) {
+        dimensions.push({ name: 'aggregate-all', key: 'global', limit: aggregate.max, windowMs: aggregate.windowMs });
+    }
+    if (dimensions.length === 0) {
+        throw new Error('[ratewarden] aggregate needs tiers or max');
+    }
+    return dimensions;
+}
+
+/**
+ * Store checks for the extra dimensions of one request
+ * @param {Array<Object>} dimensions - Compiled dimensions
+ * @param {Object} request - { context, identity, tier, rule, identityOptions }
+ * @returns {Array<Object>} - [{ dimension, identityKey, namespace, limit, windowMs }]
+ */
+function getDimensionChecks(dimensions, request) {
+    const checks = [];
+
+    for (const dimension of dimensions) {
+        const key = dimension.key(request);
+        if (key === null || key === undefined) continue;
+
+        // Tiers missing from the dimension's table are not limited by it
+        const value = dimension.tiers ? dimension.tiers[request.tier] : dimension.limit;
+        if (value === undefined) continue;
+
+        for (const window of getTierWindows(value, dimension.windowMs)) {
+            if (window.limit === Infinity) continue;
+            checks.push({
+                dimension: dimension.name,
+                identityKey: String(key),
+                // '+' keeps dimension keys apart from tier namespaces
+                namespace: `+${dimension.name}#${window.windowMs}`,
+                limit: window.limit,
+                windowMs: window.windowMs
+            });
+        }
+    }
+
+    return checks;
+}
+
+module.exports = {
+    IDENTITY_DIMENSION,
+    SUBNET_DIMENSION,
+    compileDimensions,
+    aggregateDimensions,
+    getDimensionChecks
+};
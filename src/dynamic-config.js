@@ -0,0 +1,142 @@
+/**
+ * Runtime configuration: tier tables, per-identity overrides and rules
+ *
+ * Loaded from a JSON/YAML file or a Redis key and replaced while the limiter
+ * runs, without a redeploy. A document looks like:
+ *
+ *   tiers:            # replaces the tier table
+ *     free: 100
+ *     pro: [{ limit: 20, windowMs: 1000 }, { limit: 1000 }]
+ *   overrides:        # per identity key, or the raw value it was derived from
+ *     cus_42: 5000             # limit (like a tier value)
+ *     cus_7: { tier: pro }     # another tier
+ *   rules:            # same shape as the rules option
+ *     POST /login: { tiers: { guest: 5 } }
+ *
+ * Sections left out keep the values passed to the limiter. A document is
+ * validated as a whole before anything is applied, so a bad edit leaves the
+ * last good configuration live.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashValue } = require('./identity');
+const { compileRules } = require('./rules');
+const { validateTiers, validateRuleTiers, assertTierLimit } = require('./options');
+
+const SECTIONS = ['tiers', 'overrides', 'rules'];
+
+/**
+ * Parse a configuration document
+ * @param {string} text - File or Redis contents
+ * @param {string} [format='json'] - 'json' or 'yaml'
+ * @returns {Object}
+ * @throws {Error} - On syntax errors, or YAML without the optional 'yaml' package
+ */
+function parseConfig(text, format = 'json') {
+    if (format !== 'yaml') {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`[ratewarden] Invalid config: ${error.message}`);
+        }
+    }
+
+    let YAML;
+    try {
+        YAML = require('yaml');
+    } catch (error) {
+        throw new Error("[ratewarden] YAML config files need the optional 'yaml' package (npm install yaml)");
+    }
+    try {
+        return YAML.parse(text);
+    } catch (error) {
+        throw new Error(`[ratewarden] Invalid config: ${error.message}`);
+    }
+}
+
+/**
+ * Read and parse a configuration file (.yaml/.yml as YAML, anything else as JSON)
+ * @param {string} file - Path of the file
+ * @returns {Object}
+ */
+function readConfigFile(file) {
+    const extension = path.extname(file).toLowerCase();
+    const format = extension === '.yaml' || extension === '.yml' ? 'yaml' : 'json';
+    return parseConfig(fs.readFileSync(file, 'utf8'), format);
+}
+
+/**
+ * Compile the `overrides` section
+ * @private
+ * @returns {Map<string, Object>} - identity key (and hashed raw value) → { tier?, limit? }
+ */
+function compileOverrides(overrides, tiers, windowMs) {
+    const compiled = new Map();
+    if (!overrides) return compiled;
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('[ratewarden] overrides must map identity keys to limits');
+    }
+
+    for (const key of Object.keys(overrides)) {
+        const value = overrides[key];
+        const override = typeof value === 'number' || Array.isArray(value)
+            ? { limit: value }
+            : { tier: value && value.tier, limit: value && value.limit };
+
+        if (override.tier !== undefined && tiers[override.tier] === undefined) {
+            throw new Error(`[ratewarden] overrides.${key} uses unknown tier '${override.tier}'`);
+        }
+        if (override.limit !== undefined) {
+            assertTierLimit(override.limit, `overrides.${key}`, windowMs);
+        } else if (override.tier === undefined) {
+            throw new Error(`[ratewarden] overrides.${key} needs a limit or a tier`);
+        }
+
+        // Identity keys are hashed values, so match both the key and its raw value
+        compiled.set(key, override);
+        compiled.set(hashValue(key), override);
+    }
+    return compiled;
+}
+
+/**
+ * Validate and compile a configuration document
+ * @param {Object} document - Parsed document ({ tiers, overrides, rules })
+ * @param {Object} base - { tiers, windowMs, rules } passed to the limiter
+ * @returns {Object} - { tiers, overrides, rules } ready to swap in
+ * @throws {Error} - Describing the first problem found
+ */
+function compileConfig(document, base) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('[ratewarden] Invalid config: expected an object with tiers, overrides and/or rules');
+    }
+    const unknown = Object.keys(document).find(name => !SECTIONS.includes(name));
+    if (unknown) {
+        throw new Error(`[ratewarden] Invalid config: unknown section '${unknown}'. Expected: ${SECTIONS.join(', ')}`);
+    }
+
+    try {
+        const tiers = document.tiers !== undefined ? document.tiers : base.tiers;
+        if (document.tiers !== undefined) {
+            validateTiers(tiers, base.windowMs);
+        }
+
+        const overrides = compileOverrides(document.overrides, tiers, base.windowMs);
+
+        // Rules inherit the (new) tier table, so they are always recompiled
+        const ruleOption = document.rules !== undefined ? document.rules : base.rules;
+        validateRuleTiers(ruleOption, tiers);
+        const rules = compileRules(ruleOption, { tiers, windowMs: base.windowMs });
+
+        return { tiers, overrides, rules };
+    } catch (error) {
+        throw new Error(`[ratewarden] Invalid config: ${error.message.replace(/^\[ratewarden\] /, '')}`);
+    }
+}
+
+module.exports = {
+    parseConfig,
+    readConfigFile,
+    compileConfig
+};
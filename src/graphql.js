@@ -0,0 +1,391 @@
+/**
+ * GraphQL query-complexity rate limiting
+ *
+ * Charges each GraphQL request its query complexity instead of 1, so a deeply
+ * nested query consumes more of the tier budget than a trivial one. Documents
+ * are parsed with a small built-in parser (no schema, no execution, no
+ * dependency on the graphql package).
+ *
+ * Complexity of a field = field cost × depth weight, summed over every field the
+ * operation selects (fragments expanded):
+ * - field cost: fieldCosts['parent.field'], then fieldCosts['field'], then defaultFieldCost
+ *   (`__typename` and other introspection fields are free unless listed)
+ * - depth weight: 1 + (depth - 1) × depthWeight (top-level fields have depth 1)
+ */
+
+const { createLimiter } = require('./core');
+const createExpressMiddleware = require('./adapters/express');
+
+// Single-character punctuators of the GraphQL grammar
+const PUNCTUATORS = '!$&():=@[]{|}';
+
+/**
+ * Split a GraphQL document into tokens (comments, commas and whitespace dropped)
+ * @private
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/[\s,\uFEFF]/.test(char)) {
+            i++;
+        } else if (char === '#') {
+            while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+        } else if (source.startsWith('...', i)) {
+            tokens.push({ kind: '...' });
+            i += 3;
+        } else if (PUNCTUATORS.includes(char)) {
+            tokens.push({ kind: char });
+            i++;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const start = i;
+            while (i < source.length && /\w/.test(source[i])) i++;
+            tokens.push({ kind: 'name', value: source.slice(start, i) });
+        } else if (/[-\d]/.test(char)) {
+            const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(i, i + 64));
+            if (!match) throw new Error(`Unexpected character '${char}'`);
+            tokens.push({ kind: 'number' });
+            i += match[0].length;
+        } else if (source.startsWith('"""', i)) {
+            const end = source.indexOf('"""', i + 3);
+            if (end === -1) throw new Error('Unterminated block string');
+            tokens.push({ kind: 'string' });
+            i = end + 3;
+        } else if (char === '"') {
+            i++;
+            while (i < source.length && source[i] !== '"') {
+                if (source[i] === '\n') break;
+                i += source[i] === '\\' ? 2 : 1;
+            }
+            if (source[i] !== '"') throw new Error('Unterminated string');
+            tokens.push({ kind: 'string' });
+            i++;
+        } else {
+            throw new Error(`Unexpected character '${char}'`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Minimal recursive-descent parser producing operations and fragments
+ * Only the selection structure is kept; arguments, variables and directives are skipped
+ * @private
+ */
+class Parser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.position = 0;
+    }
+
+    peek(kind, value) {
+        const token = this.tokens[this.position];
+        return Boolean(token) && token.kind === kind && (value === undefined || token.value === value);
+    }
+
+    expect(kind, value) {
+        const token = this.tokens[this.position];
+        if (!this.peek(kind, value)) {
+            const found = token ? token.value || token.kind : 'end of document';
+            throw new Error(`Expected ${value || kind}, found ${found}`);
+        }
+        this.position++;
+        return token;
+    }
+
+    // Skip a balanced (...) or [...] group, e.g. arguments or variable definitions
+    skipGroup(open, close) {
+        let depth = 0;
+        do {
+            const token = this.tokens[this.position++];
+            if (!token) throw new Error(`Expected ${close}, found end of document`);
+            if (token.kind === open) depth++;
+            if (token.kind === close) depth--;
+        } while (depth > 0);
+    }
+
+    skipDirectives() {
+        while (this.peek('@')) {
+            this.position++;
+            this.expect('name');
+            if (this.peek('(')) this.skipGroup('(', ')');
+        }
+    }
+
+    parseDocument() {
+        const operations = [];
+        const fragments = {};
+
+        while (this.position < this.tokens.length) {
+            if (this.peek('{')) {
+                operations.push({ name: null, selections: this.parseSelectionSet() });
+            } else if (this.peek('name', 'fragment')) {
+                this.position++;
+                const name = this.expect('name').value;
+                this.expect('name', 'on');
+                this.expect('name');
+                this.skipDirectives();
+                fragments[name] = this.parseSelectionSet();
+            } else {
+                const type = this.expect('name').value;
+                if (!['query', 'mutation', 'subscription'].includes(type)) {
+                    throw new Error(`Unexpected '${type}'`);
+                }
+                const name = this.peek('name') ? this.expect('name').value : null;
+                if (this.peek('(')) this.skipGroup('(', ')');
+                this.skipDirectives();
+                operations.push({ name, selections: this.parseSelectionSet() });
+            }
+        }
+
+        if (operations.length === 0) {
+            throw new Error('Document contains no operation');
+        }
+        return { operations, fragments };
+    }
+
+    parseSelectionSet() {
+        const selections = [];
+        this.expect('{');
+
+        while (!this.peek('}')) {
+            if (this.peek('...')) {
+                this.position++;
+                if (this.peek('name') && !this.peek('name', 'on')) {
+                    selections.push({ kind: 'spread', name: this.expect('name').value });
+                    this.skipDirectives();
+                } else {
+                    if (this.peek('name', 'on')) {
+                        this.position++;
+                        this.expect('name');
+                    }
+                    this.skipDirectives();
+                    selections.push({ kind: 'inline', selections: this.parseSelectionSet() });
+                }
+            } else {
+                let name = this.expect('name').value;
+                if (this.peek(':')) {
+                    // Alias: the field name follows the colon
+                    this.position++;
+                    name = this.expect('name').value;
+                }
+                if (this.peek('(')) this.skipGroup('(', ')');
+                this.skipDirectives();
+                const field = { kind: 'field', name, selections: null };
+                if (this.peek('{')) field.selections = this.parseSelectionSet();
+                selections.push(field);
+            }
+        }
+
+        this.expect('}');
+        if (selections.length === 0) {
+            throw new Error('Selection set must not be empty');
+        }
+        return selections;
+    }
+}
+
+/**
+ * Parse a GraphQL document without a schema
+ * @param {string} source - GraphQL document
+ * @returns {object} - { operations: [{ name, selections }], fragments: { name: selections } }
+ * @throws {Error} - On syntax errors
+ */
+function parseDocument(source) {
+    return new Parser(String(source)).parseDocument();
+}
+
+/**
+ * Compute the complexity of a GraphQL document
+ * @param {string} source - GraphQL document
+ * @param {object} [options={}]
+ * @param {string} [options.operationName] - Operation to score (default: the first one)
+ * @param {Object<string, number>} [options.fieldCosts={}] - Cost per 'field' or 'parent.field'
+ * @param {number} [options.defaultFieldCost=1] - Cost of fields not listed in fieldCosts
+ * @param {number} [options.depthWeight=1] - Extra weight per nesting level (0 ignores depth)
+ * @returns {number} - Complexity score
+ * @throws {Error} - On syntax errors or unknown operations/fragments
+ *
+ * @example
+ * queryComplexity('{ users { posts { title } } }');
+ * // → 1×1 + 1×2 + 1×3 = 6
+ */
+function queryComplexity(source, options = {}) {
+    const {
+        operationName,
+        fieldCosts = {},
+        defaultFieldCost = 1,
+        depthWeight = 1
+    } = options;
+
+    const { operations, fragments } = parseDocument(source);
+    const operation = operationName
+        ? operations.find(candidate => candidate.name === operationName)
+        : operations[0];
+    if (!operation) {
+        throw new Error(`Unknown operation '${operationName}'`);
+    }
+
+    // Fragment cost per (fragment, depth, parent) so repeated spreads stay linear
+    const memo = new Map();
+    const visiting = new Set();
+
+    function fieldCost(parent, name) {
+        const path = parent ? `${parent}.${name}` : null;
+        if (path && fieldCosts[path] !== undefined) return fieldCosts[path];
+        if (fieldCosts[name] !== undefined) return fieldCosts[name];
+        return name.startsWith('__') ? 0 : defaultFieldCost;
+    }
+
+    function score(selections, depth, parent) {
+        let total = 0;
+
+        for (const selection of selections) {
+            if (selection.kind === 'field') {
+                total += fieldCost(parent, selection.name) * (1 + (depth - 1) * depthWeight);
+                if (selection.selections) {
+                    total += score(selection.selections, depth + 1, selection.name);
+                }
+            } else if (selection.kind === 'inline') {
+                total += score(selection.selections, depth, parent);
+            } else {
+                const fragment = fragments[selection.name];
+                if (!fragment) {
+                    throw new Error(`Unknown fragment '${selection.name}'`);
+                }
+                if (visiting.has(selection.name)) {
+                    throw new Error(`Fragment '${selection.name}' spreads itself`);
+                }
+                const key = `${selection.name}:${depth}:${parent}`;
+                if (!memo.has(key)) {
+                    visiting.add(selection.name);
+                    memo.set(key, score(fragment, depth, parent));
+                    visiting.delete(selection.name);
+                }
+                total += memo.get(key);
+            }
+        }
+        return total;
+    }
+
+    return score(operation.selections, 1, null);
+}
+
+/**
+ * Query and operation name of a GraphQL request (POST JSON body or GET query string)
+ * Batched requests (a JSON array body) give one entry per operation
+ * @private
+ * @returns {Object|Array<Object>} - { query, operationName }
+ */
+function getGraphQLRequest(req) {
+    if (Array.isArray(req.body)) {
+        return req.body.map(operation => ({
+            query: operation && operation.query,
+            operationName: operation && operation.operationName
+        }));
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const query = req.query && typeof req.query === 'object' ? req.query : {};
+    return {
+        query: body.query || query.query,
+        operationName: body.operationName || query.operationName
+    };
+}
+
+/**
+ * Build a GraphQL `errors` response body from a blocked decision
+ * @param {object} decision - Blocked decision from limiter.consume()
+ * @param {object} [options={}] - { exposeDetails: false } leaves tier, limit and counts out
+ * @returns {object} - { errors: [{ message, extensions }] }
+ */
+function buildGraphQLErrorBody(decision, options = {}) {
+    // Rendered reason (custom `message` included); bodies may be text for non-JSON clients
+    const message = decision.message || decision.body.message;
+
+    if (decision.list === 'blocklist') {
+        return {
+            errors: [{ message, extensions: { code: 'FORBIDDEN' } }]
+        };
+    }
+
+    if (decision.error) {
+        // failureMode 'closed': the limit could not be checked
+        return {
+            errors: [{ message, extensions: { code: 'RATE_LIMIT_UNAVAILABLE' } }]
+        };
+    }
+
+    const extensions = options.exposeDetails === false
+        ? { code: 'RATE_LIMITED', retryAfter: decision.retryAfter }
+        : {
+            code: 'RATE_LIMITED',
+            tier: decision.tier,
+            limit: decision.limit,
+            current: decision.current,
+            cost: decision.cost,
+            retryAfter: decision.retryAfter
+        };
+    return { errors: [{ message, extensions }] };
+}
+
+/**
+ * Create Express middleware charging GraphQL requests their query complexity
+ * Mount it after a JSON body parser on the GraphQL route. Documents that fail to
+ * parse cost defaultFieldCost (the GraphQL server rejects them anyway). Batched
+ * requests (JSON array bodies) cost the sum of their operations.
+ * @param {Object} [options={}] - Same options as rateGuard() plus:
+ * @param {Object<string, number>} [options.fieldCosts] - Cost per 'field' or 'parent.field'
+ * @param {number} [options.defaultFieldCost=1] - Cost of fields not listed in fieldCosts
+ * @param {number} [options.depthWeight=1] - Extra weight per nesting level
+ * @param {Function} [options.getQuery] - req => { query, operationName }, or an array of
+ *                                        them for batches (default: JSON body, then query string)
+ * @returns {Function} - Express middleware (`.limiter` exposes the limiter)
+ *
+ * @example
+ * app.use('/graphql', express.json(), ratewarden.graphql({
+ *   tiers: { free: 1000, pro: 20000 },
+ *   fieldCosts: { search: 10, 'user.followers': 5 }
+ * }));
+ */
+function graphqlRateGuard(options = {}) {
+    const {
+        fieldCosts,
+        defaultFieldCost = 1,
+        depthWeight,
+        getQuery = getGraphQLRequest,
+        ...limiterOptions
+    } = options;
+
+    const operationCost = ({ query, operationName } = {}) => {
+        if (!query) return defaultFieldCost;
+        try {
+            return queryComplexity(query, { operationName, fieldCosts, defaultFieldCost, depthWeight });
+        } catch (error) {
+            return defaultFieldCost;
+        }
+    };
+
+    // A batch costs the sum of its operations
+    const cost = (req) => {
+        const operations = [].concat(getQuery(req));
+        return operations.length === 0
+            ? defaultFieldCost
+            : operations.reduce((total, operation) => total + operationCost(operation), 0);
+    };
+
+    const limiter = createLimiter({ ...limiterOptions, cost });
+    return createExpressMiddleware(limiter, {
+        formatBody: decision => buildGraphQLErrorBody(decision, { exposeDetails: limiter.config.exposeDetails })
+    });
+}
+
+module.exports = graphqlRateGuard;
+module.exports.graphqlRateGuard = graphqlRateGuard;
+module.exports.queryComplexity = queryComplexity;
+module.exports.parseDocument = parseDocument;
+module.exports.buildGraphQLErrorBody = buildGraphQLErrorBody;
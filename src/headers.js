@@ -1,19 +1,118 @@
 /**
  * HTTP RateLimit headers
- * Implements draft-ietf-httpapi-ratelimit-headers standard
+ * Implements draft-ietf-httpapi-ratelimit-headers in its draft-6 (separate fields) and
+ * draft-8 (structured RateLimit / RateLimit-Policy fields) forms, plus the legacy
+ * X-RateLimit-* headers
  */
 
+// Formats of the `headers` option
+const HEADER_MODES = ['draft-6', 'draft-8', 'legacy', 'none'];
+
+/**
+ * Seconds from now until a window resets (delta-seconds, never negative)
+ * Uses the exact resetAtMs when the store reports it, else the rounded resetTime
+ * @private
+ */
+function secondsUntil(window, now) {
+    const delta = window.resetAtMs !== undefined
+        ? (window.resetAtMs - now) / 1000
+        : window.resetTime - now / 1000;
+    return Math.max(0, Math.ceil(delta));
+}
+
+/**
+ * Quota policies with a finite limit (unlimited windows can't be expressed)
+ * @private
+ */
+function finitePolicies(report) {
+    const policies = report.policies || [{
+        name: 'default',
+        limit: report.limit,
+        windowMs: report.windowMs,
+        remaining: report.remaining,
+        resetTime: report.resetTime,
+        resetAtMs: report.resetAtMs
+    }];
+    return policies.filter(policy => Number.isFinite(policy.limit) && policy.windowMs > 0);
+}
+
 /**
- * Set standard RateLimit headers on response
+ * Structured field string ("name" with \ and " escaped)
+ * @private
+ */
+function sfString(value) {
+    return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Build RateLimit headers as a plain object
+ * Used by adapters that set headers through their own framework APIs
+ * @param {object} report - { limit, remaining, resetTime, resetAtMs?, windowMs, policies? }: the
+ *                          reported (most restrictive) window, resetTime as a Unix timestamp in
+ *                          seconds (resetAtMs in ms, when known). policies ([{ name, limit, windowMs,
+ *                          remaining, resetTime, resetAtMs? }]) lists every window; by default the
+ *                          reported one, named 'default'
+ * @param {string} [mode='draft-6'] - Header format:
+ *   - 'draft-6': RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (delta seconds) and
+ *     RateLimit-Policy: 10;w=1, 600;w=60
+ *   - 'draft-8': RateLimit-Policy: "burst";q=10;w=1, "default";q=600;w=60 and
+ *     RateLimit: "burst";r=4;t=1, "default";r=580;t=42
+ *   - 'legacy': X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset (Unix timestamp)
+ *   - 'none': no headers
+ * @param {number} [now=Date.now()] - Current timestamp (ms)
+ * @returns {object} - Header name → value
+ */
+function getRateLimitHeaders(report, mode = 'draft-6', now = Date.now()) {
+    const { limit, remaining, resetTime } = report;
+
+    if (mode === 'legacy') {
+        return {
+            'X-RateLimit-Limit': String(limit),
+            'X-RateLimit-Remaining': String(remaining),
+            'X-RateLimit-Reset': String(resetTime)
+        };
+    }
+
+    if (mode === 'draft-8') {
+        const policies = finitePolicies(report);
+        if (policies.length === 0) return {};
+        return {
+            'RateLimit-Policy': policies
+                .map(policy => `${sfString(policy.name)};q=${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`)
+                .join(', '),
+            RateLimit: policies
+                .map(policy => `${sfString(policy.name)};r=${policy.remaining};t=${secondsUntil(policy, now)}`)
+                .join(', ')
+        };
+    }
+
+    if (mode === 'none') return {};
+
+    const headers = {
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(secondsUntil(report, now))
+    };
+    const policies = finitePolicies(report);
+    if (policies.length > 0) {
+        headers['RateLimit-Policy'] = policies
+            .map(policy => `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`)
+            .join(', ');
+    }
+    return headers;
+}
+
+/**
+ * Set RateLimit headers on response
  * @param {object} res - Express response object
- * @param {number} limit - Maximum requests allowed
- * @param {number} remaining - Remaining requests in current window
- * @param {number} resetTime - Unix timestamp when limit resets
+ * @param {object} report - See getRateLimitHeaders()
+ * @param {string} [mode='draft-6'] - Header format
  */
-function setRateLimitHeaders(res, limit, remaining, resetTime) {
-    res.setHeader('RateLimit-Limit', String(limit));
-    res.setHeader('RateLimit-Remaining', String(remaining));
-    res.setHeader('RateLimit-Reset', String(resetTime));
+function setRateLimitHeaders(res, report, mode) {
+    const headers = getRateLimitHeaders(report, mode);
+    for (const name of Object.keys(headers)) {
+        res.setHeader(name, headers[name]);
+    }
 }
 
 /**
@@ -26,32 +125,105 @@ function setRetryAfterHeader(res, retryAfter) {
 }
 
 /**
- * Send 429 Too Many Requests response
- * @param {object} res - Express response object
- * @param {object} options - Response options
+ * Build the JSON body of a 429 response
+ * @param {object} options - { tier, limit, current, retryAfter, dimension?, ban?, concurrency? }
+ * @param {boolean} [exposeDetails=true] - Include tier names, limits and counts
+ *                                         (false for public APIs)
+ * @returns {object} - Response body
  */
-function send429Response(res, options) {
+function build429Body(options, exposeDetails = true) {
     const {
         tier,
         limit,
         retryAfter,
-        current
+        current,
+        dimension,
+        ban,
+        concurrency
     } = options;
 
-    setRetryAfterHeader(res, retryAfter);
-
-    res.status(429).json({
+    const body = {
         error: 'Too many requests',
         message: `Rate limit exceeded for tier '${tier}'`,
         tier,
         limit,
         current,
         retryAfter
+    };
+
+    if (dimension && dimension !== 'identity') {
+        // Blocked by a composite dimension (per IP, global, ...) rather than the identity's limit
+        body.message = `Rate limit exceeded for dimension '${dimension}'`;
+        body.dimension = dimension;
+    }
+
+    if (concurrency) {
+        // Too many requests in flight for the tier ('*': across all tiers)
+        body.message = concurrency.scope === '*'
+            ? 'Too many concurrent requests'
+            : `Too many concurrent requests for tier '${concurrency.scope}'`;
+        body.inFlight = concurrency.inFlight;
+    }
+
+    if (ban) {
+        // Penalty box: rejected repeatedly, banned until the given time
+        body.message = 'Temporarily banned after repeated rate limit violations';
+        body.banned = true;
+        body.banExpiresAt = new Date(ban.until).toISOString();
+        body.offences = ban.offences;
+    }
+
+    if (!exposeDetails) {
+        // Only what the client needs to back off
+        const hidden = {
+            error: body.error,
+            message: concurrency ? 'Too many concurrent requests' : 'Rate limit exceeded',
+            retryAfter
+        };
+        if (ban) {
+            hidden.message = body.message;
+            hidden.banned = true;
+            hidden.banExpiresAt = body.banExpiresAt;
+        }
+        return hidden;
+    }
+
+    return body;
+}
+
+/**
+ * Send 429 Too Many Requests response
+ * @param {object} res - Express response object
+ * @param {object} options - Response options
+ */
+function send429Response(res, options) {
+    setRetryAfterHeader(res, options.retryAfter);
+
+    res.status(429).json(build429Body(options));
+}
+
+/**
+ * Write a 429 response using only core Node APIs (writeHead/end)
+ * For raw http servers where res.status().json() is not available
+ * @param {object} res - Node http.ServerResponse
+ * @param {object} headers - Headers to send (RateLimit-*, Retry-After, Content-Type)
+ * @param {object|string} body - Response body (objects are serialized as JSON)
+ * @param {number} [statusCode=429] - Status code (503 for failureMode 'closed')
+ */
+function write429Response(res, headers, body, statusCode = 429) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...headers
     });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
 }
 
 module.exports = {
+    HEADER_MODES,
+    getRateLimitHeaders,
     setRateLimitHeaders,
     setRetryAfterHeader,
-    send429Response
+    build429Body,
+    send429Response,
+    write429Response
 };
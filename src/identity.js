@@ -1,8 +1,11 @@
 const crypto = require('crypto');
+const { normalizeIP, ipv4Subnet } = require('./ip');
+const { verifyJwt, getTierCandidates } = require('./jwt');
 
 /**
  * Identity resolution for rate limiting
- * Priority: Authorization token > x-user-id header > IP address
+ * Default priority: JWT claim (when enabled) > Authorization token > x-user-id header > IP address
+ * The `identity` option replaces it with an ordered chain of extractors (see compileIdentityChain)
  */
 
 /**
@@ -32,6 +35,32 @@ function extractFromAuth(req) {
   return token ? hashValue(token) : null;
 }
 
+/**
+ * Extract identity from a JWT bearer token
+ * @param {object} req - Express request object
+ * @param {object} jwt - Compiled JWT options (see compileJwt)
+ * @returns {object|null} - { valid, key?, claims?, tierCandidates? } or null when
+ *                          there is no JWT bearer token
+ */
+function extractFromJwt(req, jwt) {
+  const authHeader = req.headers.authorization || req.headers.Authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+  const verified = verifyJwt(authHeader.slice(7), jwt);
+  if (!verified) return null;
+  if (!verified.valid) return { valid: false };
+
+  const claim = jwt.identityClaims.find(name => verified.claims[name] !== undefined && verified.claims[name] !== null);
+  if (!claim) return null; // No identity claim: key on the token itself
+
+  return {
+    valid: true,
+    key: hashValue(String(verified.claims[claim])),
+    claims: verified.claims,
+    tierCandidates: getTierCandidates(verified.claims, jwt)
+  };
+}
+
 /**
  * Extract identity from custom user header
  * @param {object} req - Express request object
@@ -43,46 +72,283 @@ function extractFromUserHeader(req) {
 }
 
 /**
- * Extract identity from IP address (fallback)
- * @param {object} req - Express request object
- * @returns {string} - Hashed IP address
+ * Strip quotes, brackets and port from a Forwarded `for=` node
+ * ("[2001:db8::1]:4711" → 2001:db8::1, "192.0.2.60:8080" → 192.0.2.60)
+ * @private
  */
-function extractFromIP(req) {
-  // Support proxied requests (x-forwarded-for, x-real-ip)
-  const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
-    || req.headers['x-real-ip']
-    || req.ip
+function parseForwardedNode(node) {
+  const value = node.trim().replace(/^"|"$/g, '');
+  if (value.startsWith('[')) {
+    return value.slice(1, value.indexOf(']'));
+  }
+  // IPv4 with port (bare IPv6 is not allowed unquoted, so one colon means a port)
+  return value.split(':').length === 2 ? value.split(':')[0] : value;
+}
+
+// Headers a trusted proxy may set the client address in (proxyHeader option)
+const PROXY_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip'];
+
+/**
+ * Forwarded client addresses, closest to the client first
+ * Only the header the trusted proxy writes is read: clients can send the others,
+ * and the proxy passes them through untouched.
+ * @private
+ * @param {object} req - Request object
+ * @param {string} [header='x-forwarded-for'] - One of PROXY_HEADERS
+ */
+function getForwardedChain(req, header = 'x-forwarded-for') {
+  const value = req.headers[header];
+  if (!value) return [];
+
+  if (header === 'forwarded') {
+    // RFC 7239: for= of each element
+    const chain = [];
+    for (const element of String(value).split(',')) {
+      const pair = element.split(';').find(part => part.trim().toLowerCase().startsWith('for='));
+      if (pair) chain.push(parseForwardedNode(pair.trim().slice(4)));
+    }
+    return chain;
+  }
+
+  if (header === 'x-real-ip') {
+    return [String(value).trim()];
+  }
+
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the client IP address of a request
+ * Without trusted proxies the framework's own `req.ip` (or the socket address) is
+ * used and forwarded headers are ignored, since any client can set them.
+ * With trusted proxies the forwarded chain is walked from the right, skipping
+ * trusted hops; the first untrusted address is the client.
+ * @param {object} req - Request object
+ * @param {Function|null} [trust] - (address, hopIndex) => boolean, from compileTrust()
+ * @param {string} [proxyHeader='x-forwarded-for'] - Header the trusted proxies write
+ *                                                   ('x-forwarded-for', 'forwarded' or 'x-real-ip')
+ * @returns {string} - Client IP address ('unknown' when not available)
+ */
+function getClientIP(req, trust, proxyHeader) {
+  const socketAddress = req.socket?.remoteAddress
     || req.connection?.remoteAddress
-    || 'unknown';
+    || req.ip;
+
+  if (!trust) {
+    return req.ip || socketAddress || 'unknown';
+  }
 
-  return hashValue(ip);
+  // Right to left: the connecting peer, then each forwarded address
+  const chain = [socketAddress || 'unknown', ...getForwardedChain(req, proxyHeader).reverse()];
+  for (let i = 0; i < chain.length - 1; i++) {
+    if (!trust(chain[i], i)) return chain[i];
+  }
+  return chain[chain.length - 1];
 }
 
+/**
+ * Extract identity from IP address (fallback)
+ * Works with any request-like object: Express/Fastify request, Koa ctx or
+ * a raw Node IncomingMessage
+ * The address is normalized first (mapped IPv4 unwrapped, IPv6 keyed by its /64)
+ * so a client cannot get fresh budgets by rewriting it
+ * @param {object} req - Request object
+ * @param {object} [options={}] - { trust, proxyHeader, ipv6Subnet, ipv4Subnet } (see resolveIdentity)
+ * @returns {object} - { key, subnetKey? } hashed keys
+ */
+function extractFromIP(req, options = {}) {
+  const ip = getClientIP(req, options.trust, options.proxyHeader);
+  const identity = { key: hashValue(normalizeIP(ip, { ipv6Subnet: options.ipv6Subnet })) };
+
+  if (options.ipv4Subnet) {
+    const subnet = ipv4Subnet(ip, options.ipv4Subnet.prefix);
+    if (subnet) identity.subnetKey = hashValue(subnet);
+  }
+  return identity;
+}
+
+/**
+ * Read a cookie from the request (cookie-parser's req.cookies, else the Cookie header)
+ * @private
+ */
+function getCookie(req, name) {
+  if (req.cookies && typeof req.cookies === 'object' && req.cookies[name] !== undefined) {
+    return req.cookies[name];
+  }
+
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const pair of String(header).split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1 || pair.slice(0, separator).trim() !== name) continue;
+    const value = pair.slice(separator + 1).trim().replace(/^"|"$/g, '');
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a query string parameter (parsed req.query, else the request URL)
+ * @private
+ */
+function getQueryParam(req, name) {
+  if (req.query && typeof req.query === 'object' && req.query[name] !== undefined) {
+    return [].concat(req.query[name])[0];
+  }
+
+  const url = req.originalUrl || req.url || '';
+  const queryIndex = url.indexOf('?');
+  return queryIndex === -1 ? null : new URLSearchParams(url.slice(queryIndex + 1)).get(name);
+}
+
+/**
+ * Read a dotted path ('id', 'account.id') from the authenticated user
+ * (req.user as set by Passport and similar, or Koa's ctx.state.user)
+ * @private
+ */
+function getUserPath(req, path) {
+  const user = req.user || (req.state && req.state.user);
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), user);
+}
+
+/**
+ * Hash a raw extracted value, ignoring empty ones
+ * @private
+ */
+function toKey(value) {
+  return value === undefined || value === null || value === '' ? null : { key: hashValue(String(value)) };
+}
+
+// Built-in extractors: (req, step, options) => { key, ... } | { invalid: true } | null
+const EXTRACTORS = {
+  jwt: (req, step, options) => {
+    const found = extractFromJwt(req, options.jwt);
+    if (!found) return null;
+    return found.valid ? { key: found.key, claims: found.claims, tierCandidates: found.tierCandidates } : { invalid: true };
+  },
+  token: req => {
+    const key = extractFromAuth(req);
+    return key ? { key } : null;
+  },
+  userId: req => {
+    const key = extractFromUserHeader(req);
+    return key ? { key } : null;
+  },
+  apiKey: (req, step) => toKey(req.headers[step.name]),
+  header: (req, step) => toKey(req.headers[step.name]),
+  cookie: (req, step) => toKey(getCookie(req, step.name)),
+  query: (req, step) => toKey(getQueryParam(req, step.name)),
+  user: (req, step) => toKey(getUserPath(req, step.name)),
+  ip: (req, step, options) => extractFromIP(req, options),
+  custom: (req, step) => toKey(step.extract(req))
+};
+
+// Default parameter per extractor type
+const DEFAULT_NAMES = { apiKey: 'x-api-key', user: 'id' };
+
+/**
+ * Compile the `identity` option into extractor steps
+ * Each entry is one of:
+ * - 'jwt' | 'token' | 'userId' | 'apiKey' | 'user' | 'ip'
+ * - 'header:<name>' | 'cookie:<name>' | 'query:<name>' | 'user:<path>' | 'apiKey:<header>'
+ * - { type, name, source, tier } with type one of the above ('user' takes a path inside req.user)
+ * - (req) => value, or { source, tier, extract: (req) => value } (custom extractor)
+ * Values are hashed; `source` labels the identity for tier defaults and metrics (default: the type)
+ * and `tier` is the tier for identities found by that step (default: 'free', IP: 'guest')
+ * @param {Array} chain - Ordered extractors
+ * @param {object} [options={}] - { jwt } compiled JWT options
+ * @returns {Array<object>} - Steps { type, name, source, tier, extract? }
+ * @throws {Error} - On unknown or incomplete extractors
+ */
+function compileIdentityChain(chain, options = {}) {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    throw new Error('[ratewarden] identity must be a non-empty array of extractors');
+  }
+
+  return chain.map((entry, index) => {
+    let step;
+    if (typeof entry === 'function') {
+      step = { type: 'custom', extract: entry };
+    } else if (typeof entry === 'string') {
+      const separator = entry.indexOf(':');
+      step = separator === -1
+        ? { type: entry }
+        : { type: entry.slice(0, separator), name: entry.slice(separator + 1) };
+    } else if (entry && typeof entry === 'object') {
+      step = typeof entry.extract === 'function' ? { type: 'custom', ...entry } : { ...entry };
+    } else {
+      throw new Error(`[ratewarden] identity[${index}] must be a string, an object or a function`);
+    }
+
+    if (!EXTRACTORS[step.type]) {
+      throw new Error(`[ratewarden] identity[${index}] has unknown extractor type '${step.type}'`);
+    }
+    step.name = step.name || DEFAULT_NAMES[step.type];
+    if (['header', 'cookie', 'query'].includes(step.type) && !step.name) {
+      throw new Error(`[ratewarden] identity[${index}] '${step.type}' extractor needs a name`);
+    }
+    if (step.type === 'jwt' && !options.jwt) {
+      throw new Error(`[ratewarden] identity[${index}] 'jwt' extractor needs the jwt option`);
+    }
+    if (['header', 'apiKey'].includes(step.type)) {
+      // Node lowercases incoming header names
+      step.name = step.name.toLowerCase();
+    }
+
+    return {
+      ...step,
+      source: step.source || step.type,
+      tier: step.tier || (step.type === 'ip' ? 'guest' : 'free')
+    };
+  });
+}
+
+// Default chains, with and without JWT support
+const DEFAULT_CHAIN = compileIdentityChain(['token', 'userId', 'ip']);
+const DEFAULT_JWT_CHAIN = compileIdentityChain(['jwt', 'token', 'userId', 'ip'], { jwt: true });
+
 /**
  * Resolve identity key for rate limiting
- * Uses priority chain: Auth token > User header > IP
+ * Walks the extractor chain (default: JWT > Auth token > User header > IP) and
+ * falls back to the IP address when no step finds a value
  * @param {object} req - Express request object
- * @returns {object} - { key: string, source: 'token'|'userId'|'ip' }
+ * @param {object} [options={}]
+ * @param {Array<object>} [options.chain] - Steps from compileIdentityChain()
+ * @param {Function|null} [options.trust] - Trusted proxy predicate (see getClientIP)
+ * @param {string} [options.proxyHeader='x-forwarded-for'] - Header the trusted proxies write
+ * @param {number} [options.ipv6Subnet=64] - Prefix length IPv6 identities are keyed by
+ * @param {object} [options.ipv4Subnet] - { prefix } to also return the client's IPv4 subnet
+ * @param {object} [options.jwt] - Compiled JWT options; invalid or expired JWTs fall back to the IP
+ * @returns {object} - { key: string, source: string ('jwt', 'token', 'userId', 'ip', ...),
+ *                     tier: string, subnetKey?: string, claims?: object, tierCandidates?: string[] }
  */
-function resolveIdentity(req) {
-  // Priority 1: Authorization header
-  const tokenKey = extractFromAuth(req);
-  if (tokenKey) {
-    return { key: tokenKey, source: 'token' };
-  }
+function resolveIdentity(req, options = {}) {
+  const chain = options.chain || (options.jwt ? DEFAULT_JWT_CHAIN : DEFAULT_CHAIN);
+
+  for (const step of chain) {
+    const found = EXTRACTORS[step.type](req, step, options);
+    if (!found) continue;
+
+    // Invalid or expired JWT: treat the caller as anonymous
+    if (found.invalid) break;
 
-  // Priority 2: x-user-id header
-  const userIdKey = extractFromUserHeader(req);
-  if (userIdKey) {
-    return { key: userIdKey, source: 'userId' };
+    return { ...found, source: step.source, tier: step.tier };
   }
 
-  // Priority 3: IP address (fallback)
-  const ipKey = extractFromIP(req);
-  return { key: ipKey, source: 'ip' };
+  // IP address (fallback)
+  return { ...extractFromIP(req, options), source: 'ip', tier: 'guest' };
 }
 
 module.exports = {
   resolveIdentity,
+  compileIdentityChain,
+  extractFromIP,
+  getClientIP,
+  PROXY_HEADERS,
   hashValue
 };
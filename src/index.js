@@ -3,20 +3,27 @@
  * 
  * Zero-config rate limiting for Node.js APIs.
  * Automatically detects user identity (token → user ID → IP) and applies
- * tier-based limits (guest/free/pro/admin) using a sliding window algorithm.
+ * tier-based limits (guest/free/pro/admin) using a sliding window algorithm
+ * (or token bucket, fixed window, sliding window counter, GCRA).
  * 
  * Supports both in-memory (single server) and Redis (distributed) storage.
+ * Express is the default; Fastify and Koa adapters live in `ratewarden/fastify`
+ * and `ratewarden/koa`, all sharing the same core (`createLimiter().consume()`).
  * 
  * @module ratewarden
  * @see https://github.com/knokvik/ratewarden
  */
 
-const { resolveIdentity } = require('./identity');
-const { resolveTier, getTierLimit, DEFAULT_TIERS, DEFAULT_WINDOW_MS } = require('./tier');
-const { setRateLimitHeaders, send429Response } = require('./headers');
-const CleanupManager = require('./cleanup');
+const { DEFAULT_TIERS, DEFAULT_WINDOW_MS } = require('./tier');
+const { createLimiter, releaseOnFinish } = require('./core');
+const createExpressMiddleware = require('./adapters/express');
 const createMemoryStore = require('./stores/memory');
 const createRedisStore = require('./stores/redis');
+const { ALGORITHMS, DEFAULT_ALGORITHM } = require('./algorithms');
+const { MetricsRegistry, defaultRegistry, metricsHandler } = require('./metrics');
+const adminRouter = require('./admin');
+const { graphqlRateGuard, queryComplexity } = require('./graphql');
+const CircuitBreaker = require('./circuit-breaker');
 
 /**
  * Create a rate limiting middleware for Express.js
@@ -28,11 +35,62 @@ const createRedisStore = require('./stores/redis');
  * @param {Object} [options={}] - Configuration options
  * @param {number} [options.windowMs=60000] - Time window in milliseconds (default: 60000 = 1 minute)
  * @param {Object} [options.tiers] - Tier configuration mapping tier names to request limits
+ *                                    (must include 'free', the fallback for unknown tiers
+ *                                    and for guests when 'guest' is left out)
  *                                    (default: { guest: 30, free: 60, pro: 600, admin: Infinity })
+ * @param {string|Object} [options.algorithm='sliding-window'] - Rate limiting algorithm:
+ *                                    'sliding-window', 'sliding-window-counter', 'fixed-window',
+ *                                    'token-bucket', 'gcra', or a custom strategy object
+ * @param {Array|Object} [options.rules] - Per-route/per-method limits sharing one store.
+ *                                    Array of { method, path, tiers, windowMs, cost, name } or an object
+ *                                    keyed by "METHOD /path"; first match wins. Paths support
+ *                                    Express-style params (/users/:id) and globs (*, **)
+ * @param {Array<Object>} [options.dimensions] - Extra limits checked with the identity's in one
+ *                                    store call: [{ name, key, limit | tiers, windowMs }] where key is
+ *                                    'ip', 'identity+route', 'global' or (req, identity) => string
+ * @param {Object} [options.aggregate] - Totals shared by all identities: { tiers: { guest: 2000 }, max, windowMs }
+ *                                    (reported as the 'aggregate' / 'aggregate-all' dimensions)
+ * @param {Object} [options.concurrency] - In-flight caps: { tiers: { guest: 50 }, max, timeoutMs = 60000 };
+ *                                    slots are released when the response finishes or closes
+ * @param {string} [options.mode='reject'] - 'reject' answers 429; 'delay' holds rate limited
+ *                                    requests until the store has room (see options.delay)
+ * @param {Object} [options.delay] - Bounds of mode 'delay': { maxWaitMs = 5000, maxQueue = 10 }
+ *                                    (queue depth per identity); beyond them requests get 429
+ * @param {Object|boolean} [options.penalty] - Temporary bans for repeat offenders:
+ *                                    { threshold, periodMs, banMs, multiplier, maxBanMs, resetMs }
+ *                                    (true: 10 rejections/min → 1 min ban, doubling up to a day)
+ * @param {string[]} [options.allowlist] - Callers that skip the limiter: IPs/CIDRs/presets,
+ *                                    'key:<identity>' or 'apiKey:<key>' entries
+ * @param {string[]} [options.blocklist] - Callers rejected without touching the store (same entries)
+ * @param {number} [options.blockStatusCode=403] - Status for blocklisted callers (403 or 429)
+ * @param {number|boolean} [options.listSyncIntervalMs=10000] - How often lists are reloaded from
+ *                                    Redis (false: don't share them)
+ * @param {Object} [options.dynamicConfig] - Tiers, per-identity overrides and rules loaded at
+ *                                    runtime: { file, watchIntervalMs = 1000 } (JSON/YAML, reloaded
+ *                                    on change) or { redis: true } (reloaded on pub/sub notification)
+ * @param {number|Function} [options.cost=1] - Units of the limit each request consumes
+ *                                    (number or req => number). Requests costing more than
+ *                                    what is left are rejected
  * @param {Function} [options.resolveTier] - Custom tier resolver function (req => tierName)
  *                                            Receives the request and returns a tier name
  * @param {Function} [options.keyGenerator] - Custom identity key generator (req => uniqueKey)
  *                                             Receives the request and returns a unique identity key
+ * @param {Array} [options.identity] - Ordered identity extractors replacing token → user ID → IP:
+ *                                    'jwt', 'token', 'userId', 'apiKey', 'header:<name>', 'cookie:<name>',
+ *                                    'query:<name>', 'user:<path>', 'ip', functions, or
+ *                                    { type, name, source, tier } objects
+ * @param {boolean|number|string|string[]|Function} [options.trustProxy] - Proxies allowed to set
+ *                                    X-Forwarded-For/Forwarded: hop count, CIDRs, presets
+ *                                    ('loopback', 'linklocal', 'private') or (address, hop) => boolean.
+ *                                    Default: forwarded headers are ignored
+ * @param {string} [options.proxyHeader='x-forwarded-for'] - Header the trusted proxies write the
+ *                                    client address in: 'x-forwarded-for', 'forwarded' or 'x-real-ip'
+ * @param {number} [options.ipv6Subnet=64] - Prefix length IPv6 identities are keyed by (128: single addresses)
+ * @param {boolean|number|Object} [options.ipv4Subnet] - Shared, looser limit per IPv4 subnet:
+ *                                    { prefix: 24, multiplier: 10 } (off by default)
+ * @param {Object|boolean} [options.jwt] - Key identities on a JWT claim and read the tier from one:
+ *                                    { secret | publicKey | jwks, identityClaim, tierClaim, tierMap }.
+ *                                    Invalid or expired tokens fall back to guest
  * @param {Function} [options.onLimitReached] - Callback when rate limit is exceeded
  *                                               Signature: (req, res, info) => void
  *                                               Called BEFORE sending the 429 response
@@ -40,8 +98,25 @@ const createRedisStore = require('./stores/redis');
  *                                          If provided, uses Redis for distributed rate limiting
  *                                          If omitted, uses in-memory storage (single server only)
  * @param {string} [options.redisPrefix='ratewarden:'] - Prefix for Redis keys (only used if redisClient provided)
+ * @param {string} [options.failureMode='open'] - When the store fails: 'open' (allow), 'closed'
+ *                                    (reject with failureStatusCode) or 'fallback' (local memory
+ *                                    store). Rules may set their own failureMode
+ * @param {number} [options.failureStatusCode=503] - Status for failureMode 'closed' (503 or 429)
+ * @param {Object|boolean} [options.circuitBreaker] - Redis circuit breaker options
+ *                                    { failureThreshold: 5, resetTimeoutMs: 10000 }; false disables
+ * @param {number} [options.nearLimitThreshold=0.8] - Fraction of the limit at which 'nearLimit' fires
+ * @param {string|boolean} [options.headers='draft-6'] - Rate limit headers: 'draft-6' (RateLimit-* and
+ *                                    RateLimit-Policy), 'draft-8' (structured RateLimit / RateLimit-Policy
+ *                                    with named policies), 'legacy' (X-RateLimit-*) or 'none'
+ * @param {string|Object|Function} [options.message] - 429 message: a string, the whole JSON body,
+ *                                    or (decision, req) => string | body (may be async)
+ * @param {boolean} [options.exposeDetails=true] - Include tier names, limits and counts in 429 bodies
+ * @param {MetricsRegistry|boolean} [options.metrics] - Registry recording Prometheus metrics
+ *                                    (default: shared registry served by metricsHandler(); false disables)
  * 
  * @returns {Function} Express middleware function with signature (req, res, next)
+ *                     (`.limiter` exposes the underlying limiter and its store; `.on()`
+ *                     subscribes to allowed/blocked/nearLimit/storeError/cleanup/configReload/configError events)
  * 
  * @example
  * // Zero config - in-memory (recommended for most use cases)
@@ -63,114 +138,63 @@ const createRedisStore = require('./stores/redis');
  * }));
  * 
  * @example
+ * // O(1) memory per identity with a token bucket
+ * app.use(ratewarden({
+ *   algorithm: 'token-bucket'
+ * }));
+ * 
+ * @example
+ * // Per-route limits in one instance
+ * app.use(ratewarden({
+ *   rules: {
+ *     'POST /login': { tiers: { guest: 5 } },
+ *     'GET /search': { tiers: { guest: 120 } }
+ *   }
+ * }));
+ * 
+ * @example
+ * // Never drop the login limit when Redis is down
+ * app.use(ratewarden({
+ *   redisClient,
+ *   failureMode: 'fallback',
+ *   rules: { 'POST /login': { tiers: { guest: 5 }, failureMode: 'closed' } }
+ * }));
+ * 
+ * @example
+ * // Expensive endpoints consume more of the budget
+ * app.use(ratewarden({
+ *   rules: { 'POST /export': { cost: 10 } },
+ *   cost: (req) => Number(req.headers['x-batch-size']) || 1
+ * }));
+ * 
+ * @example
+ * // Per user, per IP and global limits at once
+ * app.use(ratewarden({
+ *   dimensions: [
+ *     { name: 'ip', key: 'ip', limit: 300 },
+ *     { name: 'global', key: 'global', limit: 10000 }
+ *   ]
+ * }));
+ * 
+ * @example
+ * // Shed anonymous waves: all guests together ≤ 2,000 req/min, ≤ 100 in flight
+ * app.use(ratewarden({
+ *   aggregate: { tiers: { guest: 2000 } },
+ *   concurrency: { tiers: { guest: 100 }, max: 500 }
+ * }));
+ * 
+ * @example
  * // Custom tier resolution
  * app.use(ratewarden({
  *   resolveTier: (req) => req.user?.plan || 'guest'
  * }));
  */
 function rateGuard(options = {}) {
-    // Configuration with sensible defaults
-    const config = {
-        windowMs: options.windowMs || DEFAULT_WINDOW_MS,
-        tiers: options.tiers || DEFAULT_TIERS,
-        resolveTier: options.resolveTier,
-        keyGenerator: options.keyGenerator,
-        onLimitReached: options.onLimitReached,
-        redisClient: options.redisClient,
-        redisPrefix: options.redisPrefix || 'ratewarden:'
-    };
-
-    // Create appropriate store
-    let store;
-    let cleanup = null;
-
-    if (config.redisClient) {
-        // Use Redis store for distributed rate limiting
-        try {
-            store = createRedisStore(config.redisClient, {
-                windowMs: config.windowMs,
-                prefix: config.redisPrefix
-            });
-            // Redis handles cleanup via TTL, no need for CleanupManager
-        } catch (error) {
-            throw new Error(`[ratewarden] Failed to initialize Redis store: ${error.message}`);
-        }
-    } else {
-        // Use in-memory store (default)
-        store = createMemoryStore({
-            windowMs: config.windowMs
-        });
-
-        // Start automatic cleanup for memory store (prevents memory leaks)
-        cleanup = new CleanupManager(store, config.windowMs);
-        cleanup.start();
-    }
+    // Identity → tier → store → decision pipeline (framework-agnostic)
+    const limiter = createLimiter(options);
 
     // Return the actual middleware function
-    return function rateGuardMiddleware(req, res, next) {
-        // Use async IIFE to handle promises properly
-        (async () => {
-            try {
-                // Step 1: Resolve identity (who is making this request?)
-                let identityKey, source;
-
-                if (config.keyGenerator) {
-                    // Use custom key generator if provided
-                    identityKey = config.keyGenerator(req);
-                    source = 'custom';
-                } else {
-                    // Use default identity resolution (token → user ID → IP)
-                    const identity = resolveIdentity(req);
-                    identityKey = identity.key;
-                    source = identity.source;
-                }
-
-                // Step 2: Resolve tier (what limits should apply?)
-                const tier = resolveTier(req, source, config.resolveTier);
-
-                // Step 3: Get limit for tier
-                const limit = getTierLimit(tier, config.tiers);
-
-                // Step 4: Check rate limit (sliding window algorithm)
-                // For Redis store, pass tier for key namespacing
-                const result = config.redisClient
-                    ? await store.checkLimit(identityKey, limit, tier)
-                    : await store.checkLimit(identityKey, limit);
-
-                // Step 5: Set standard HTTP RateLimit headers
-                setRateLimitHeaders(res, limit, result.remaining, result.resetTime);
-
-                // Step 6: Handle result
-                if (!result.allowed) {
-                    // Call custom handler if provided (for logging, monitoring, etc.)
-                    if (config.onLimitReached) {
-                        config.onLimitReached(req, res, {
-                            tier,
-                            limit,
-                            current: result.current,
-                            retryAfter: result.retryAfter
-                        });
-                    }
-
-                    // Send 429 Too Many Requests response
-                    return send429Response(res, {
-                        tier,
-                        limit,
-                        current: result.current,
-                        retryAfter: result.retryAfter
-                    });
-                }
-
-                // Request allowed - continue to next middleware
-                next();
-
-            } catch (error) {
-                // On error, allow request but log it (fail-open for reliability)
-                console.error('[ratewarden] Error:', error.message);
-                next();
-            }
-        })();
-    };
+    return createExpressMiddleware(limiter);
 }
 
 /**
@@ -180,5 +204,16 @@ module.exports = rateGuard;
 module.exports.rateGuard = rateGuard;
 module.exports.DEFAULT_TIERS = DEFAULT_TIERS;
 module.exports.DEFAULT_WINDOW_MS = DEFAULT_WINDOW_MS;
+module.exports.ALGORITHMS = ALGORITHMS;
+module.exports.DEFAULT_ALGORITHM = DEFAULT_ALGORITHM;
+module.exports.createLimiter = createLimiter;
+module.exports.releaseOnFinish = releaseOnFinish;
+module.exports.metricsHandler = metricsHandler;
+module.exports.adminRouter = adminRouter;
+module.exports.graphql = graphqlRateGuard;
+module.exports.queryComplexity = queryComplexity;
+module.exports.metrics = defaultRegistry;
+module.exports.MetricsRegistry = MetricsRegistry;
+module.exports.CircuitBreaker = CircuitBreaker;
 module.exports.createMemoryStore = createMemoryStore;
 module.exports.createRedisStore = createRedisStore;
@@ -0,0 +1,273 @@
+/**
+ * IP address parsing, normalization and CIDR matching
+ * Used to decide which proxies may set X-Forwarded-For / Forwarded (trustProxy)
+ * and to build IP identities that clients cannot multiply by rewriting their address
+ */
+
+// Named ranges accepted by trustProxy
+const PRESETS = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+    uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+/**
+ * Parse an IPv4 address into 4 bytes
+ * @private
+ */
+function parseIPv4(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4) return null;
+
+    const bytes = parts.map(part => (/^\d{1,3}$/.test(part) ? Number(part) : NaN));
+    return bytes.every(byte => byte <= 255) ? bytes : null;
+}
+
+/**
+ * Parse an IPv6 address (with optional zone and embedded IPv4) into 16 bytes
+ * @private
+ */
+function parseIPv6(address) {
+    const zoneIndex = address.indexOf('%');
+    const value = zoneIndex === -1 ? address : address.slice(0, zoneIndex);
+
+    const halves = value.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = (part) => {
+        if (part === '') return [];
+        const groups = part.split(':');
+        const last = groups[groups.length - 1];
+
+        // Trailing dotted IPv4 (::ffff:1.2.3.4) counts as two groups
+        if (last.includes('.')) {
+            const v4 = parseIPv4(last);
+            if (!v4) return null;
+            groups.splice(-1, 1, ((v4[0] << 8) | v4[1]).toString(16), ((v4[2] << 8) | v4[3]).toString(16));
+        }
+        return groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group)) ? groups.map(group => parseInt(group, 16)) : null;
+    };
+
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    if (!head || !tail) return null;
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...new Array(missing).fill(0), ...tail];
+    const bytes = [];
+    for (const group of groups) {
+        bytes.push(group >> 8, group & 0xff);
+    }
+    return bytes;
+}
+
+/**
+ * Parse an IP address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {object|null} - { version: 4|6, bytes: number[] } or null when invalid
+ */
+function parseIP(address) {
+    if (typeof address !== 'string') return null;
+
+    const value = address.trim();
+    if (value.includes(':')) {
+        const bytes = parseIPv6(value);
+        return bytes ? { version: 6, bytes } : null;
+    }
+    const bytes = parseIPv4(value);
+    return bytes ? { version: 4, bytes } : null;
+}
+
+/**
+ * Unwrap IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) to IPv4
+ * @param {object} ip - Parsed address
+ * @returns {object} - Parsed address (IPv4 when mapped)
+ */
+function unmapIPv4(ip) {
+    if (ip.version === 6
+        && ip.bytes.slice(0, 10).every(byte => byte === 0)
+        && ip.bytes[10] === 0xff && ip.bytes[11] === 0xff) {
+        return { version: 4, bytes: ip.bytes.slice(12) };
+    }
+    return ip;
+}
+
+/**
+ * Format a parsed address (IPv6 in RFC 5952 canonical form: lowercase, no leading
+ * zeros, longest run of zero groups compressed)
+ * @param {object} ip - Parsed address
+ * @returns {string}
+ */
+function formatIP(ip) {
+    if (ip.version === 4) {
+        return ip.bytes.join('.');
+    }
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push((ip.bytes[i] << 8) | ip.bytes[i + 1]);
+    }
+
+    // Longest run of at least two zero groups (first one wins a tie)
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === 0) length++;
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) {
+        return hex.join(':');
+    }
+    return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Zero the host bits of an address
+ * @param {object} ip - Parsed address
+ * @param {number} prefix - Network prefix length
+ * @returns {object} - Parsed network address
+ */
+function maskIP(ip, prefix) {
+    const bytes = ip.bytes.map((byte, i) => {
+        const bits = prefix - i * 8;
+        if (bits >= 8) return byte;
+        if (bits <= 0) return 0;
+        return byte & ((0xff << (8 - bits)) & 0xff);
+    });
+    return { version: ip.version, bytes };
+}
+
+/**
+ * Normalize a client address into the string its identity is keyed by
+ * - IPv4-mapped IPv6 is unwrapped (::ffff:1.2.3.4 → 1.2.3.4)
+ * - IPv6 is keyed by its network (2001:db8:0:1::/64), in canonical form
+ * - Invalid values ('unknown', obfuscated Forwarded nodes) are returned as-is
+ * @param {string} address - Client address
+ * @param {object} [options={}]
+ * @param {number} [options.ipv6Subnet=64] - IPv6 prefix length (128 keys single addresses)
+ * @returns {string}
+ */
+function normalizeIP(address, options = {}) {
+    const parsed = parseIP(address);
+    if (!parsed) return address;
+
+    const ip = unmapIPv4(parsed);
+    if (ip.version === 4) {
+        return formatIP(ip);
+    }
+
+    const prefix = options.ipv6Subnet === undefined ? 64 : options.ipv6Subnet;
+    return prefix >= 128 ? formatIP(ip) : `${formatIP(maskIP(ip, prefix))}/${prefix}`;
+}
+
+/**
+ * IPv4 network of a client address ('198.51.100.0/24')
+ * @param {string} address - Client address
+ * @param {number} prefix - IPv4 prefix length
+ * @returns {string|null} - Network, or null for non-IPv4 addresses
+ */
+function ipv4Subnet(address, prefix) {
+    const parsed = parseIP(address);
+    if (!parsed) return null;
+
+    const ip = unmapIPv4(parsed);
+    return ip.version === 4 ? `${formatIP(maskIP(ip, prefix))}/${prefix}` : null;
+}
+
+/**
+ * Parse a CIDR range ('10.0.0.0/8', '::1', '2001:db8::/32')
+ * @param {string} cidr - Address with optional prefix length
+ * @returns {object} - { version, bytes, prefix }
+ * @throws {Error} - On invalid ranges
+ */
+function parseCIDR(cidr) {
+    const [address, prefixText] = String(cidr).split('/');
+    const ip = parseIP(address);
+    if (!ip) {
+        throw new Error(`[ratewarden] Invalid IP range '${cidr}'`);
+    }
+
+    const maxPrefix = ip.version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+        throw new Error(`[ratewarden] Invalid prefix length in IP range '${cidr}'`);
+    }
+    return { ...ip, prefix };
+}
+
+/**
+ * Check whether a parsed address falls inside a parsed range
+ * @param {object} ip - Parsed address
+ * @param {object} range - Parsed CIDR range
+ * @returns {boolean}
+ */
+function inRange(ip, range) {
+    const address = range.version === 4 ? unmapIPv4(ip) : ip;
+    if (address.version !== range.version) return false;
+
+    let bits = range.prefix;
+    for (let i = 0; bits > 0; i++, bits -= 8) {
+        const mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+        if ((address.bytes[i] & mask) !== (range.bytes[i] & mask)) return false;
+    }
+    return true;
+}
+
+/**
+ * Compile the trustProxy option into a predicate
+ * @param {boolean|number|string|string[]|Function} [trustProxy] -
+ *   - false / undefined: trust no proxy (forwarded headers are ignored)
+ *   - true: trust every hop (the left-most forwarded address is the client)
+ *   - number: trust that many hops in front of the server
+ *   - string or string[]: CIDRs and presets ('loopback', 'linklocal', 'private'),
+ *     comma-separated strings allowed
+ *   - function: (address, hopIndex) => boolean
+ * @returns {Function|null} - (address, hopIndex) => boolean, or null when nothing is trusted
+ */
+function compileTrust(trustProxy) {
+    if (trustProxy === undefined || trustProxy === false || trustProxy === 0) return null;
+    if (trustProxy === true) return () => true;
+    if (typeof trustProxy === 'function') return trustProxy;
+
+    if (typeof trustProxy === 'number') {
+        if (!Number.isInteger(trustProxy) || trustProxy < 0) {
+            throw new Error('[ratewarden] trustProxy hop count must be a non-negative integer');
+        }
+        return (address, hopIndex) => hopIndex < trustProxy;
+    }
+
+    const entries = [].concat(trustProxy)
+        .flatMap(entry => String(entry).split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+    const ranges = entries
+        .flatMap(entry => PRESETS[entry] || [entry])
+        .map(parseCIDR);
+
+    return (address) => {
+        const ip = parseIP(address);
+        return Boolean(ip) && ranges.some(range => inRange(ip, range));
+    };
+}
+
+module.exports = {
+    PRESETS,
+    parseIP,
+    parseCIDR,
+    unmapIPv4,
+    formatIP,
+    maskIP,
+    normalizeIP,
+    ipv4Subnet,
+    inRange,
+    compileTrust
+};
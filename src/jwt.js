@@ -0,0 +1,197 @@
+/**
+ * JWT-aware identity and tier resolution
+ *
+ * Bearer tokens that look like JWTs are decoded (and verified when a key is
+ * configured) so the identity is keyed on a stable claim instead of the token
+ * itself: refreshing a token no longer hands the same user a fresh bucket.
+ * The tier can be read from a claim such as `plan` or `scope`.
+ *
+ * Supported signatures: HS256 (shared secret) and RS256 (PEM public key or a
+ * local JWKS file). Tokens with a bad signature, an unexpected algorithm, or an
+ * exp/nbf outside the allowed clock skew are treated as invalid.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256'];
+
+/**
+ * Decode a base64url JSON segment
+ * @private
+ */
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Decode a JWT without verifying it
+ * @param {string} token - Compact JWT (header.payload.signature)
+ * @returns {object|null} - { header, payload, signingInput, signature } or null when malformed
+ */
+function decodeJwt(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+        const header = decodeSegment(parts[0]);
+        const payload = decodeSegment(parts[1]);
+        if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+            return null;
+        }
+        return {
+            header,
+            payload,
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url')
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Load RSA public keys from a JWKS document or file
+ * @private
+ */
+function loadJwks(jwks) {
+    const document = typeof jwks === 'string' ? JSON.parse(fs.readFileSync(jwks, 'utf8')) : jwks;
+    if (!document || !Array.isArray(document.keys)) {
+        throw new Error('[ratewarden] jwt.jwks must be a JWKS document ({ keys: [...] }) or the path to one');
+    }
+
+    return document.keys
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+        .map(jwk => ({ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+}
+
+/**
+ * Check a decoded token's signature
+ * @private
+ */
+function verifySignature(decoded, keys) {
+    const { alg, kid } = decoded.header;
+
+    if (alg === 'HS256') {
+        if (!keys.secret) return false;
+        const expected = crypto.createHmac('sha256', keys.secret).update(decoded.signingInput).digest();
+        return expected.length === decoded.signature.length && crypto.timingSafeEqual(expected, decoded.signature);
+    }
+
+    if (alg === 'RS256') {
+        const candidates = keys.publicKeys.filter(entry => !kid || !entry.kid || entry.kid === kid);
+        return candidates.some(entry => crypto.verify('RSA-SHA256', Buffer.from(decoded.signingInput), entry.key, decoded.signature));
+    }
+
+    return false;
+}
+
+/**
+ * Compile the `jwt` option
+ * @param {Object|boolean} [option] - JWT options (true: decode only, with defaults; false: off)
+ * @param {string|Buffer} [option.secret] - HS256 shared secret
+ * @param {string|Buffer|KeyObject} [option.publicKey] - RS256 PEM public key
+ * @param {string|Object} [option.jwks] - Path to a local JWKS file, or the parsed document
+ * @param {string[]} [option.algorithms] - Accepted algorithms (default: those with a key)
+ * @param {string|string[]} [option.identityClaim=['sub', 'client_id']] - Claim(s) keying the identity
+ * @param {string|Function} [option.tierClaim] - Claim holding the tier (e.g. 'plan', 'scope'),
+ *                                              or claims => tierName; requires a key
+ * @param {Object<string, string>} [option.tierMap] - Claim value → tier name; requires a key
+ * @param {number} [option.clockToleranceSec=0] - Allowed clock skew for exp/nbf
+ * @returns {Object|null} - Compiled options, or null when JWT support is off
+ */
+function compileJwt(option) {
+    if (!option) return null;
+
+    const config = option === true ? {} : option;
+    const keys = {
+        secret: config.secret,
+        publicKeys: []
+    };
+
+    if (config.publicKey) {
+        keys.publicKeys.push({ key: crypto.createPublicKey(config.publicKey) });
+    }
+    if (config.jwks) {
+        keys.publicKeys.push(...loadJwks(config.jwks));
+    }
+
+    const verify = Boolean(keys.secret || keys.publicKeys.length > 0);
+    if (!verify && (config.tierClaim || config.tierMap)) {
+        // Anyone can mint an unsigned token claiming the top plan
+        throw new Error('[ratewarden] jwt.tierClaim and jwt.tierMap need a key to verify tokens (secret, publicKey or jwks)');
+    }
+    const algorithms = config.algorithms || SUPPORTED_ALGORITHMS.filter(alg => (alg === 'HS256' ? keys.secret : keys.publicKeys.length > 0));
+    const unsupported = algorithms.find(alg => !SUPPORTED_ALGORITHMS.includes(alg));
+    if (unsupported) {
+        throw new Error(`[ratewarden] Unsupported JWT algorithm '${unsupported}'. Expected one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+    }
+
+    return {
+        verify,
+        keys,
+        algorithms,
+        identityClaims: [].concat(config.identityClaim || ['sub', 'client_id']),
+        tierClaim: config.tierClaim,
+        tierMap: config.tierMap || null,
+        clockToleranceSec: config.clockToleranceSec || 0
+    };
+}
+
+/**
+ * Decode, verify and validate a token
+ * @param {string} token - Bearer token
+ * @param {Object} jwt - Compiled options from compileJwt()
+ * @returns {Object|null} - { valid: boolean, claims } or null when the token is not a JWT
+ */
+function verifyJwt(token, jwt) {
+    const decoded = decodeJwt(token);
+    if (!decoded) return null;
+
+    const invalid = { valid: false, claims: null };
+
+    if (jwt.verify) {
+        if (!jwt.algorithms.includes(decoded.header.alg) || !verifySignature(decoded, jwt.keys)) {
+            return invalid;
+        }
+    }
+
+    const claims = decoded.payload;
+    const now = Date.now() / 1000;
+    if (typeof claims.exp === 'number' && now > claims.exp + jwt.clockToleranceSec) return invalid;
+    if (typeof claims.nbf === 'number' && now < claims.nbf - jwt.clockToleranceSec) return invalid;
+
+    return { valid: true, claims };
+}
+
+/**
+ * Tier candidates from the configured claim, in order
+ * Space-separated strings (OAuth `scope`) and arrays yield several candidates
+ * @param {Object} claims - Verified claims
+ * @param {Object} jwt - Compiled options
+ * @returns {string[]} - Tier names to try
+ */
+function getTierCandidates(claims, jwt) {
+    if (!jwt.tierClaim) return [];
+
+    if (typeof jwt.tierClaim === 'function') {
+        const tier = jwt.tierClaim(claims);
+        return tier ? [String(tier)] : [];
+    }
+
+    const value = claims[jwt.tierClaim];
+    if (value === undefined || value === null) return [];
+
+    const values = Array.isArray(value) ? value.map(String) : String(value).split(/\s+/);
+    return values
+        .filter(Boolean)
+        .map(entry => (jwt.tierMap && jwt.tierMap[entry] !== undefined ? jwt.tierMap[entry] : entry));
+}
+
+module.exports = {
+    SUPPORTED_ALGORITHMS,
+    decodeJwt,
+    compileJwt,
+    verifyJwt,
+    getTierCandidates
+};
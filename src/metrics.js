@@ -0,0 +1,274 @@
+/**
+ * Prometheus metrics for rate limit decisions
+ * Minimal registry rendering the Prometheus text exposition format (v0.0.4)
+ * without requiring prom-client
+ *
+ * Metrics:
+ * - ratewarden_requests_allowed_total{tier,source} - Allowed requests
+ * - ratewarden_requests_blocked_total{tier,source} - Blocked (429) requests
+ * - ratewarden_store_errors_total - Store errors (requests failed open)
+ * - ratewarden_store_duration_seconds - Histogram of store checkLimit latency
+ * - ratewarden_tracked_identities - Identities tracked by all stores (from getStats())
+ */
+
+// Histogram buckets for store latency in seconds (0.5ms → 1s)
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+/**
+ * Escape a label value for the text format
+ * @private
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @private
+ */
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) return '';
+    return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value (Prometheus spells infinities +Inf / -Inf)
+ * @private
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Counter with labels
+ */
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Map<serialized labels, { labels, value }>
+        this.values = new Map();
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        const entry = this.values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        this.values.set(key, entry);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const [key, { value }] of this.values) {
+            lines.push(`${this.name}${key} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Histogram without labels
+ */
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.counts = buckets.map(() => 0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                this.counts[i]++;
+            }
+        }
+        this.sum += value;
+        this.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.buckets.forEach((bucket, i) => {
+            lines.push(`${this.name}_bucket{le="${bucket}"} ${this.counts[i]}`);
+        });
+        lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+        lines.push(`${this.name}_sum ${this.sum}`);
+        lines.push(`${this.name}_count ${this.count}`);
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Gauge whose value is collected at scrape time
+ */
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+    }
+
+    async render() {
+        const value = await this.collect();
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} gauge`,
+            `${this.name} ${formatValue(value)}`
+        ].join('\n');
+    }
+}
+
+/**
+ * Registry holding all ratewarden metrics
+ * Limiters record into it; stores are polled for the tracked identities gauge
+ */
+class MetricsRegistry {
+    constructor() {
+        this.stores = new Set();
+
+        this.allowed = new Counter(
+            'ratewarden_requests_allowed_total',
+            'Requests allowed by the rate limiter',
+            ['tier', 'source']
+        );
+        this.blocked = new Counter(
+            'ratewarden_requests_blocked_total',
+            'Requests rejected with 429 by the rate limiter',
+            ['tier', 'source']
+        );
+        this.storeErrors = new Counter(
+            'ratewarden_store_errors_total',
+            'Store errors while checking limits'
+        );
+        this.storeDuration = new Histogram(
+            'ratewarden_store_duration_seconds',
+            'Latency of store limit checks in seconds'
+        );
+        this.trackedIdentities = new Gauge(
+            'ratewarden_tracked_identities',
+            'Identities currently tracked by the rate limit stores',
+            () => this._collectIdentities()
+        );
+    }
+
+    /**
+     * Register a store for the tracked identities gauge
+     * @param {object} store - Store implementing getStats()
+     */
+    trackStore(store) {
+        this.stores.add(store);
+    }
+
+    /**
+     * Unregister a store (e.g. when its limiter is closed)
+     * @param {object} store - Previously tracked store
+     */
+    untrackStore(store) {
+        this.stores.delete(store);
+    }
+
+    /**
+     * Record a rate limit decision
+     * @param {object} decision - { allowed, tier, identity: { source } }
+     */
+    recordDecision(decision) {
+        const labels = { tier: decision.tier, source: decision.identity.source };
+        (decision.allowed ? this.allowed : this.blocked).inc(labels);
+    }
+
+    /**
+     * Record store latency
+     * @param {number} seconds - Duration of the store call
+     */
+    recordStoreDuration(seconds) {
+        this.storeDuration.observe(seconds);
+    }
+
+    /**
+     * Record a store error
+     */
+    recordStoreError() {
+        this.storeErrors.inc();
+    }
+
+    /**
+     * Sum totalIdentities across tracked stores
+     * @private
+     */
+    async _collectIdentities() {
+        let total = 0;
+        for (const store of this.stores) {
+            try {
+                const stats = await store.getStats();
+                total += stats.totalIdentities;
+            } catch (error) {
+                // A failing store must not break the scrape
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Render all metrics in the Prometheus text format
+     * @returns {Promise<string>} - Exposition text
+     */
+    async render() {
+        const sections = [
+            this.allowed.render(),
+            this.blocked.render(),
+            this.storeErrors.render(),
+            this.storeDuration.render(),
+            await this.trackedIdentities.render()
+        ];
+        return `${sections.join('\n')}\n`;
+    }
+
+    /**
+     * Reset all recorded values (useful for testing)
+     */
+    reset() {
+        this.allowed.values.clear();
+        this.blocked.values.clear();
+        this.storeErrors.values.clear();
+        this.storeDuration = new Histogram(this.storeDuration.name, this.storeDuration.help);
+    }
+}
+
+// Shared registry used by every limiter unless told otherwise
+const defaultRegistry = new MetricsRegistry();
+
+/**
+ * Create a route handler serving metrics in the Prometheus text format
+ * Works as an Express route or a plain Node http handler
+ * @param {MetricsRegistry} [registry=defaultRegistry] - Registry to render
+ * @returns {Function} - Handler (req, res) => void
+ *
+ * @example
+ * app.get('/metrics', ratewarden.metricsHandler());
+ */
+function metricsHandler(registry = defaultRegistry) {
+    return function ratewardenMetrics(req, res) {
+        registry.render().then((text) => {
+            res.statusCode = 200;
+            res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.end(text);
+        }, (error) => {
+            res.statusCode = 500;
+            res.end(`# ratewarden metrics error: ${error.message}\n`);
+        });
+    };
+}
+
+module.exports = {
+    MetricsRegistry,
+    defaultRegistry,
+    metricsHandler,
+    DEFAULT_BUCKETS
+};
@@ -0,0 +1,280 @@
+/**
+ * Validation of rateGuard() options
+ *
+ * Runs when a limiter is created, so mistakes fail at startup with a message
+ * naming the option instead of turning into limits that are silently not
+ * enforced. Options with a compile step of their own (rules, dimensions,
+ * identity, penalty, ...) are validated there in depth; this module checks
+ * names and types, the tier table, and the tier names other options refer to.
+ */
+
+const { getTierWindows } = require('./tier');
+
+// Tier every unknown tier falls back to (see getTierLimit), and the default of authenticated requests
+const FALLBACK_TIER = 'free';
+
+const TYPES = {
+    'a positive number': value => typeof value === 'number' && value > 0 && value !== Infinity,
+    'a non-negative number': value => typeof value === 'number' && value >= 0 && value !== Infinity,
+    'a number between 0 and 1': value => typeof value === 'number' && value > 0 && value <= 1,
+    'an HTTP status code': value => Number.isInteger(value) && value >= 400 && value <= 599,
+    'an integer between 0 and 128': value => Number.isInteger(value) && value >= 0 && value <= 128,
+    'a string': value => typeof value === 'string',
+    'an array': value => Array.isArray(value),
+    'an object': value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    'a function': value => typeof value === 'function',
+    'true': value => value === true,
+    'false': value => value === false,
+    'a boolean': value => typeof value === 'boolean'
+};
+
+// Accepted types of every option (anything else is unknown)
+const OPTIONS = {
+    windowMs: ['a positive number'],
+    tiers: ['an object'],
+    algorithm: ['a string', 'an object'],
+    rules: ['an array', 'an object'],
+    dimensions: ['an array'],
+    aggregate: ['an object'],
+    concurrency: ['an object'],
+    mode: ['a string'],
+    delay: ['an object'],
+    penalty: ['an object', 'a boolean'],
+    allowlist: ['a string', 'an array'],
+    blocklist: ['a string', 'an array'],
+    blockStatusCode: ['an HTTP status code'],
+    listSyncIntervalMs: ['a positive number', 'false'],
+    dynamicConfig: ['an object'],
+    cost: ['a non-negative number', 'a function'],
+    resolveTier: ['a function'],
+    keyGenerator: ['a function'],
+    identity: ['an array'],
+    trustProxy: ['a boolean', 'a non-negative number', 'a string', 'an array', 'a function'],
+    proxyHeader: ['a string'],
+    ipv6Subnet: ['an integer between 0 and 128'],
+    ipv4Subnet: ['a boolean', 'a non-negative number', 'an object'],
+    jwt: ['an object', 'a boolean'],
+    onLimitReached: ['a function'],
+    redisClient: ['an object'],
+    redisPrefix: ['a string'],
+    failureMode: ['a string'],
+    failureStatusCode: ['an HTTP status code'],
+    circuitBreaker: ['an object', 'false'],
+    nearLimitThreshold: ['a number between 0 and 1'],
+    headers: ['a string', 'a boolean'],
+    message: ['a string', 'an object', 'a function'],
+    exposeDetails: ['a boolean'],
+    metrics: ['an object', 'false']
+};
+
+// Positive numbers inside object options
+const NESTED_NUMBERS = {
+    delay: ['maxWaitMs', 'maxQueue'],
+    dynamicConfig: ['watchIntervalMs'],
+    concurrency: ['timeoutMs'],
+    aggregate: ['windowMs']
+};
+
+/**
+ * Closest candidate to a misspelled name (edit distance ≤ 2, or a case difference)
+ * @private
+ * @returns {string|null}
+ */
+function suggest(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+        const distance = candidate.toLowerCase() === String(name).toLowerCase()
+            ? 0
+            : editDistance(String(name), candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * " Did you mean 'x'?" when a candidate is close enough
+ * @private
+ */
+function didYouMean(name, candidates) {
+    const match = suggest(name, candidates);
+    return match ? ` Did you mean '${match}'?` : '';
+}
+
+/**
+ * Short description of a value for error messages
+ * @private
+ */
+function describe(value) {
+    if (typeof value === 'string') return `'${value}' (string)`;
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (typeof value === 'object') return 'an object';
+    if (typeof value === 'function') return 'a function';
+    return String(value);
+}
+
+/**
+ * Throw unless value has one of the accepted types
+ * @private
+ */
+function assertType(value, name, types) {
+    if (types.some(type => TYPES[type](value))) return;
+    const expected = types.length > 1
+        ? `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}`
+        : types[0];
+    throw new Error(`[ratewarden] ${name} must be ${expected}, got ${describe(value)}`);
+}
+
+/**
+ * Validate a tier value: a limit, one { limit, windowMs } or several of them
+ * @param {*} value - Value from a tier table
+ * @param {string} name - Option path for the error message
+ * @param {number} windowMs - Default window
+ * @throws {Error}
+ */
+function assertTierLimit(value, name, windowMs) {
+    const windows = typeof value === 'number' || (value !== null && typeof value === 'object')
+        ? getTierWindows(value, windowMs)
+        : [];
+    const valid = windows.length > 0 && windows.every(window => typeof window.limit === 'number'
+        && window.limit >= 0
+        && typeof window.windowMs === 'number'
+        && window.windowMs > 0);
+    if (!valid) {
+        throw new Error(`[ratewarden] ${name} must be a non-negative limit or [{ limit, windowMs }]`);
+    }
+}
+
+/**
+ * Validate a tier table
+ * @param {Object} tiers - Tier name → limit
+ * @param {number} windowMs - Default window
+ * @param {string} [name='tiers'] - Option path for error messages
+ * @throws {Error} - On invalid limits, or without the fallback tier
+ */
+function validateTiers(tiers, windowMs, name = 'tiers') {
+    assertType(tiers, name, ['an object']);
+    for (const tier of Object.keys(tiers)) {
+        assertTierLimit(tiers[tier], `${name}.${tier}`, windowMs);
+    }
+    if (tiers[FALLBACK_TIER] === undefined) {
+        throw new Error(
+            `[ratewarden] ${name} needs a '${FALLBACK_TIER}' tier: authenticated requests use it by default and `
+            + `unknown tiers fall back to it, so their limits would not be enforced (use ${FALLBACK_TIER}: Infinity for no limit)`
+        );
+    }
+}
+
+/**
+ * Throw when a tier table of another option names a tier that is not configured
+ * @private
+ */
+function assertKnownTiers(table, name, tiers) {
+    if (!table || typeof table !== 'object') return;
+    const configured = Object.keys(tiers);
+    for (const tier of Object.keys(table)) {
+        if (tiers[tier] === undefined) {
+            throw new Error(
+                `[ratewarden] ${name} refers to unknown tier '${tier}'.${didYouMean(tier, configured)} `
+                + `Configured tiers: ${configured.join(', ')}`
+            );
+        }
+    }
+}
+
+/**
+ * Validate the tier names rules refer to
+ * @param {Array|Object} [rules] - `rules` option (array or "METHOD /path" object)
+ * @param {Object} tiers - Configured tier table
+ * @throws {Error}
+ */
+function validateRuleTiers(rules, tiers) {
+    if (!rules || typeof rules !== 'object') return;
+    for (const key of Object.keys(rules)) {
+        const rule = rules[key];
+        const name = Array.isArray(rules) ? `rules[${key}]` : `rules['${key}']`;
+        assertKnownTiers(rule && rule.tiers, `${name}.tiers`, tiers);
+    }
+}
+
+/**
+ * Validate rateGuard() options
+ * @param {Object} options - Options passed to rateGuard() / createLimiter()
+ * @param {Object} defaults - { tiers, windowMs } used when the options leave them out
+ * @throws {Error} - Naming the option and what it expects
+ */
+function validateOptions(options, defaults) {
+    assertType(options, 'options', ['an object']);
+
+    const known = Object.keys(OPTIONS);
+    for (const name of Object.keys(options)) {
+        if (!OPTIONS[name]) {
+            throw new Error(`[ratewarden] Unknown option '${name}'.${didYouMean(name, known)}`);
+        }
+        if (options[name] !== undefined) {
+            assertType(options[name], name, OPTIONS[name]);
+        }
+    }
+
+    for (const option of Object.keys(NESTED_NUMBERS)) {
+        if (!options[option]) continue;
+        for (const name of NESTED_NUMBERS[option]) {
+            if (options[option][name] !== undefined) {
+                assertType(options[option][name], `${option}.${name}`, ['a positive number']);
+            }
+        }
+    }
+
+    const windowMs = options.windowMs || defaults.windowMs;
+    const tiers = options.tiers || defaults.tiers;
+    if (options.tiers) {
+        validateTiers(options.tiers, windowMs);
+    }
+
+    // Tier names used by other options must exist, or they are typos
+    validateRuleTiers(options.rules, tiers);
+    (options.dimensions || []).forEach((dimension, index) => {
+        assertKnownTiers(dimension && dimension.tiers, `dimensions[${index}].tiers`, tiers);
+    });
+    for (const option of ['aggregate', 'concurrency']) {
+        if (options[option]) assertKnownTiers(options[option].tiers, `${option}.tiers`, tiers);
+    }
+    (options.identity || []).forEach((step, index) => {
+        if (step && typeof step === 'object' && step.tier !== undefined) {
+            assertKnownTiers({ [step.tier]: true }, `identity[${index}].tier`, tiers);
+        }
+    });
+}
+
+module.exports = {
+    FALLBACK_TIER,
+    validateOptions,
+    validateTiers,
+    validateRuleTiers,
+    assertTierLimit,
+    suggest
+};
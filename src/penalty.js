@@ -0,0 +1,151 @@
+/**
+ * Penalty box: temporary bans for repeat offenders
+ *
+ * Every rejected request counts against the identity. Once `threshold` rejections
+ * land within `periodMs`, the identity is banned for `banMs`; each further ban
+ * lasts `multiplier` times longer (up to `maxBanMs`). Offences are forgotten after
+ * `resetMs` without a new rejection. While banned, requests are rejected without
+ * running the rate limit algorithm at all.
+ *
+ * Ban state: { until, offences, count, start } per identity, with its own TTL
+ * (the ban plus resetMs). The memory store runs recordRejection() below; the
+ * Redis store runs the equivalent Lua script atomically.
+ */
+
+const DEFAULTS = {
+    threshold: 10,
+    periodMs: 60000,
+    banMs: 60000,
+    multiplier: 2,
+    maxBanMs: 86400000,
+    resetMs: 86400000
+};
+
+/**
+ * Compile the `penalty` option
+ * @param {Object|boolean} [option] - true for the defaults, or overrides
+ * @param {number} [option.threshold=10] - Rejections that trigger a ban
+ * @param {number} [option.periodMs=60000] - Period the rejections are counted in
+ * @param {number} [option.banMs=60000] - Duration of the first ban
+ * @param {number} [option.multiplier=2] - Growth of each further ban
+ * @param {number} [option.maxBanMs=86400000] - Longest ban
+ * @param {number} [option.resetMs=86400000] - Offences are forgotten after this long
+ * @returns {Object|null} - Compiled penalty, or null when disabled
+ * @throws {Error} - On non-positive values
+ */
+function compilePenalty(option) {
+    if (!option) return null;
+
+    const penalty = { ...DEFAULTS, ...(option === true ? {} : option) };
+    for (const name of Object.keys(DEFAULTS)) {
+        if (typeof penalty[name] !== 'number' || !(penalty[name] > 0)) {
+            throw new Error(`[ratewarden] penalty.${name} must be a positive number`);
+        }
+    }
+    if (penalty.multiplier < 1) {
+        throw new Error('[ratewarden] penalty.multiplier must be at least 1');
+    }
+    return penalty;
+}
+
+/**
+ * Duration of the nth ban
+ * @param {number} offences - Offences including this one
+ * @param {Object} penalty - Compiled penalty
+ * @returns {number} - Ban duration in milliseconds
+ */
+function banDuration(offences, penalty) {
+    return Math.min(penalty.banMs * Math.pow(penalty.multiplier, offences - 1), penalty.maxBanMs);
+}
+
+/**
+ * Count one rejection
+ * @param {Object|undefined} state - { until, offences, count, start }
+ * @param {number} now - Current timestamp (ms)
+ * @param {Object} penalty - Compiled penalty
+ * @returns {Object} - { state, ban: { until, offences } | null, expiresAt }
+ */
+function recordRejection(state, now, penalty) {
+    const current = state || { until: 0, offences: 0, count: 0, start: now };
+
+    if (current.until > now) {
+        // Already banned (e.g. a concurrent request); keep the running ban
+        return { state: current, ban: { until: current.until, offences: current.offences }, expiresAt: current.until + penalty.resetMs };
+    }
+
+    let { count, start } = current;
+    if (now - start >= penalty.periodMs) {
+        count = 0;
+        start = now;
+    }
+    count++;
+
+    if (count >= penalty.threshold) {
+        const offences = current.offences + 1;
+        const until = now + banDuration(offences, penalty);
+        return {
+            state: { until, offences, count: 0, start: now },
+            ban: { until, offences },
+            expiresAt: until + penalty.resetMs
+        };
+    }
+
+    return {
+        state: { until: current.until, offences: current.offences, count, start },
+        ban: null,
+        expiresAt: now + Math.max(penalty.periodMs, penalty.resetMs)
+    };
+}
+
+/**
+ * Same transition as recordRejection() on a Redis hash
+ * KEYS[1] = ban key
+ * ARGV = [now, threshold, periodMs, banMs, multiplier, maxBanMs, resetMs]
+ * Returns {until, offences} (until = 0 when no ban)
+ */
+const RECORD_REJECTION_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local threshold = tonumber(ARGV[2])
+local periodMs = tonumber(ARGV[3])
+local banMs = tonumber(ARGV[4])
+local multiplier = tonumber(ARGV[5])
+local maxBanMs = tonumber(ARGV[6])
+local resetMs = tonumber(ARGV[7])
+
+local fields = redis.call('HMGET', key, 'until', 'offences', 'count', 'start')
+local untilMs = tonumber(fields[1]) or 0
+local offences = tonumber(fields[2]) or 0
+local count = tonumber(fields[3]) or 0
+local start = tonumber(fields[4]) or now
+
+if untilMs > now then
+    return {untilMs, offences}
+end
+
+if now - start >= periodMs then
+    count = 0
+    start = now
+end
+count = count + 1
+
+if count >= threshold then
+    offences = offences + 1
+    untilMs = now + math.min(banMs * multiplier ^ (offences - 1), maxBanMs)
+    redis.call('HSET', key, 'until', untilMs, 'offences', offences, 'count', 0, 'start', now)
+    redis.call('PEXPIRE', key, math.ceil(untilMs - now + resetMs))
+    return {untilMs, offences}
+end
+
+redis.call('HSET', key, 'until', untilMs, 'offences', offences, 'count', count, 'start', start)
+redis.call('PEXPIRE', key, math.ceil(math.max(periodMs, resetMs)))
+return {0, offences}
+`;
+
+module.exports = {
+    PENALTY_DEFAULTS: DEFAULTS,
+    compilePenalty,
+    banDuration,
+    recordRejection,
+    RECORD_REJECTION_SCRIPT
+};
@@ -0,0 +1,138 @@
+/**
+ * Bodies of rejected requests
+ *
+ * The limiter builds a JSON body for every rejection (see build429Body). This
+ * module applies the `message` option to rate limit rejections and renders the
+ * body in the format the client asks for with its Accept header:
+ * - application/json (default)
+ * - application/problem+json (RFC 9457 problem details)
+ * - text/plain
+ * - text/html
+ */
+
+const { STATUS_CODES } = require('http');
+
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    problem: 'application/problem+json',
+    text: 'text/plain; charset=utf-8',
+    html: 'text/html; charset=utf-8'
+};
+
+// Media types clients may ask for → format
+const MEDIA_TYPES = {
+    'application/json': 'json',
+    'application/problem+json': 'problem',
+    'text/plain': 'text',
+    'text/html': 'html',
+    'text/*': 'text',
+    'application/*': 'json',
+    '*/*': 'json'
+};
+
+/**
+ * Pick the response format from an Accept header
+ * Highest q-value wins, then the more specific type, then the earlier one;
+ * nothing acceptable falls back to JSON rather than a 406.
+ * @param {string} [accept] - Accept header
+ * @returns {string} - 'json', 'problem', 'text' or 'html'
+ */
+function negotiate(accept) {
+    if (!accept) return 'json';
+
+    let best = null;
+    for (const part of String(accept).split(',')) {
+        const [type, ...params] = part.trim().toLowerCase().split(';').map(value => value.trim());
+        const format = MEDIA_TYPES[type];
+        const q = params.find(param => param.startsWith('q='));
+        const quality = q ? Number(q.slice(2)) : 1;
+        if (!format || !(quality > 0)) continue;
+
+        const specificity = type.includes('*') ? 0 : 1;
+        if (!best || quality > best.quality || (quality === best.quality && specificity > best.specificity)) {
+            best = { format, quality, specificity };
+        }
+    }
+    return best ? best.format : 'json';
+}
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Apply the `message` option to a rate limit rejection
+ * @private
+ * @returns {Promise<Object>} - JSON body
+ */
+async function customizeBody(body, message, decision, context) {
+    const custom = typeof message === 'function' ? await message(decision, context) : message;
+
+    if (typeof custom === 'string') {
+        return { ...body, message: custom };
+    }
+    if (custom && typeof custom === 'object') {
+        // The whole JSON body
+        return custom;
+    }
+    return body;
+}
+
+/**
+ * Render the body of a rejected decision
+ * @param {Object} decision - Rejected decision ({ statusCode, body, list?, error? })
+ * @param {Object} context - Request (its Accept header picks the format)
+ * @param {Object} [options={}] - { message }: string, JSON body, or
+ *                                (decision, req) => string | body (may be async);
+ *                                only applied to rate limit rejections, not to
+ *                                blocklisted requests or store failures
+ * @returns {Promise<Object>} - { body (object or string), contentType, message }
+ */
+async function renderRejection(decision, context, options = {}) {
+    const status = decision.statusCode;
+    const title = STATUS_CODES[status] || 'Error';
+    const rateLimited = !decision.list && !decision.error;
+
+    let body = decision.body;
+    if (rateLimited && options.message !== undefined) {
+        body = await customizeBody(body, options.message, decision, context);
+    }
+    const message = typeof body.message === 'string' ? body.message : title;
+
+    const format = negotiate(context && context.headers && context.headers.accept);
+
+    if (format === 'problem') {
+        // RFC 9457: standard members, the rest of the body as extension members
+        // (error and message become title and detail). A custom body cannot override
+        // the standard members: they must describe the actual response
+        const extensions = { ...body };
+        delete extensions.error;
+        delete extensions.message;
+        return {
+            body: { ...extensions, type: 'about:blank', title, status, detail: message },
+            contentType: CONTENT_TYPES.problem,
+            message
+        };
+    }
+
+    if (format === 'text') {
+        return { body: `${message}\n`, contentType: CONTENT_TYPES.text, message };
+    }
+
+    if (format === 'html') {
+        const html = `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${status} ${escapeHtml(title)}</title></head>`
+            + `<body><h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p></body></html>\n`;
+        return { body: html, contentType: CONTENT_TYPES.html, message };
+    }
+
+    return { body, contentType: CONTENT_TYPES.json, message };
+}
+
+module.exports = {
+    negotiate,
+    renderRejection
+};
@@ -0,0 +1,164 @@
+/**
+ * Per-route and per-method limit rules
+ *
+ * Lets one limiter (and one store) apply different tier tables and windows to
+ * different endpoints. Rules are checked in order and the first match wins;
+ * requests matching no rule use the top-level tiers and windowMs.
+ *
+ * Path patterns:
+ * - Express-style params: /users/:id
+ * - `*` matches within one path segment: /files/*.csv
+ * - `**` matches across segments: /api/**
+ */
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * Compile a path pattern to a RegExp
+ * @param {string} pattern - Path pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+function compilePath(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === ':' && /[A-Za-z_]/.test(pattern[i + 1] || '')) {
+            // Skip the parameter name
+            while (/\w/.test(pattern[i + 1] || '')) i++;
+            source += '[^/]+';
+        } else {
+            source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    // Trailing slash is optional
+    return new RegExp(`^${source.replace(/\/$/, '')}/?$`);
+}
+
+/**
+ * Default rule name derived from method and path (safe for store keys)
+ * @private
+ */
+function defaultRuleName(methods, path) {
+    const slug = `${methods ? methods.join('-') : 'any'} ${path}`
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'root';
+}
+
+/**
+ * Normalize the `rules` option
+ * Accepts an array of rule objects or an object keyed by "METHOD /path" (or "/path")
+ * @param {Array|Object} [rules] - Rule definitions
+ * @param {Object} defaults - { tiers, windowMs } of the limiter
+ * @returns {Array<Object>} - Compiled rules
+ *
+ * @example
+ * compileRules([
+ *   { method: 'POST', path: '/login', tiers: { guest: 5 } },
+ *   { method: 'GET', path: '/search', tiers: { guest: 120 } }
+ * ], { tiers, windowMs });
+ *
+ * @example
+ * compileRules({
+ *   'POST /login': { tiers: { guest: 5 } },
+ *   '/reports/**': { tiers: { free: 10 }, windowMs: 3600000 }
+ * }, { tiers, windowMs });
+ */
+function compileRules(rules, defaults) {
+    if (!rules) return [];
+
+    const list = Array.isArray(rules)
+        ? rules
+        : Object.keys(rules).map((spec) => {
+            const [first, second] = spec.trim().split(/\s+/);
+            return second
+                ? { method: first, path: second, ...rules[spec] }
+                : { path: first, ...rules[spec] };
+        });
+
+    const names = new Set();
+
+    return list.map((rule, index) => {
+        if (!rule || typeof rule.path !== 'string') {
+            throw new Error(`[ratewarden] rules[${index}] needs a path pattern`);
+        }
+
+        let methods = null;
+        if (rule.method && rule.method !== '*') {
+            methods = [].concat(rule.method).map(method => String(method).toUpperCase());
+            const unknown = methods.find(method => !HTTP_METHODS.includes(method));
+            if (unknown) {
+                throw new Error(`[ratewarden] rules[${index}] has unknown HTTP method '${unknown}'`);
+            }
+        }
+
+        const name = rule.name || defaultRuleName(methods, rule.path);
+        if (!/^[\w.-]+$/.test(name)) {
+            throw new Error(`[ratewarden] rules[${index}] name '${name}' may only contain letters, digits, '_', '-' and '.'`);
+        }
+        if (names.has(name)) {
+            throw new Error(`[ratewarden] Duplicate rule name '${name}'`);
+        }
+        names.add(name);
+
+        return {
+            name,
+            methods,
+            path: rule.path,
+            pattern: compilePath(rule.path),
+            // Tiers not listed in the rule keep the limiter-wide limits
+            tiers: { ...defaults.tiers, ...rule.tiers },
+            windowMs: rule.windowMs || defaults.windowMs,
+            // Undefined falls back to the limiter-wide cost and failure mode
+            cost: rule.cost,
+            failureMode: rule.failureMode
+        };
+    });
+}
+
+/**
+ * Path of a request without the query string
+ * Uses originalUrl so Express sub-app mounts still see the full path
+ * @param {Object} context - Request-like object
+ * @returns {string} - Request path
+ */
+function getRequestPath(context) {
+    const url = context.originalUrl || context.url || context.path || '/';
+    const queryIndex = url.indexOf('?');
+    return queryIndex === -1 ? url : url.slice(0, queryIndex);
+}
+
+/**
+ * Find the first rule matching a request
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Object} context - Request-like object with method and url
+ * @returns {Object|null} - Matching rule or null
+ */
+function matchRule(rules, context) {
+    if (rules.length === 0) return null;
+
+    const method = String(context.method || 'GET').toUpperCase();
+    const path = getRequestPath(context);
+
+    for (const rule of rules) {
+        if (rule.methods && !rule.methods.includes(method)) continue;
+        if (rule.pattern.test(path)) return rule;
+    }
+    return null;
+}
+
+module.exports = {
+    compilePath,
+    compileRules,
+    matchRule,
+    getRequestPath
+};
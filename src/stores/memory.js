@@ -1,83 +1,340 @@
 /**
  * In-memory store for rate limiting
- * Uses sliding window counter algorithm with timestamp tracking
+ * Runs the configured algorithm against per-identity state held in a Map
+ * (default: sliding window log with timestamp tracking)
  * 
  * Best for: Single-server deployments, development, small-to-medium traffic
  * Note: State is local to each process (not shared across servers)
  */
 
+const { resolveAlgorithm, combineResults, unlimitedResult, parseNamespace, usageResult } = require('../algorithms');
+const { recordRejection } = require('../penalty');
+
 class MemoryStore {
     constructor(options = {}) {
         this.windowMs = options.windowMs || 60000;
-        // Map<identityKey, Array<timestamp>>
+        this.algorithm = resolveAlgorithm(options.algorithm);
+        // Map<tier:identityKey, { state, windowMs }>
         this.requests = new Map();
+        // Penalty box: Map<identityKey, { state, expiresAt }>
+        this.bans = new Map();
+        // In-flight leases: Map<scope, Map<token, expiresAt>>
+        this.slots = new Map();
+    }
+
+    /**
+     * Generate map key for identity
+     * @private
+     */
+    _getKey(identityKey, tier = 'default') {
+        return `${tier}:${identityKey}`;
     }
 
     /**
      * Check if a request should be allowed and increment counter
      * @param {string} identityKey - Unique identifier for the requester
      * @param {number} limit - Maximum requests allowed in window
+     * @param {string} [tier='default'] - Tier name for key namespacing
+     * @param {object} [options={}]
+     * @param {number} [options.windowMs] - Window for this check (default: store windowMs)
+     * @param {number} [options.cost=1] - Units of the limit this request consumes
      * @returns {Promise<object>} - { allowed: boolean, current: number, remaining: number, resetTime: number, retryAfter: number }
      */
-    async checkLimit(identityKey, limit) {
+    async checkLimit(identityKey, limit, tier = 'default', options = {}) {
+        const now = Date.now();
+        const windowMs = options.windowMs || this.windowMs;
+
+        if (limit === Infinity) {
+            return unlimitedResult(now, windowMs);
+        }
+
+        const key = this._getKey(identityKey, tier);
+        const entry = this.requests.get(key);
+        const { state, result } = this.algorithm.consume(entry && entry.state, now, limit, windowMs, options.cost);
+        this.requests.set(key, { state, windowMs });
+
+        return result;
+    }
+
+    /**
+     * Check several windows at once (e.g. 10/sec + 600/min + 20,000/day)
+     * The request is recorded in every window only if all of them have room
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {Array<object>} windows - [{ limit, windowMs }]
+     * @param {string} [tier='default'] - Tier name for key namespacing
+     * @param {object} [options={}]
+     * @param {number} [options.cost=1] - Units of every limit this request consumes
+     * @returns {Promise<object>} - Result of the most restrictive window plus
+     *                              { limit, windowMs, windows: [per-window results] }
+     */
+    async checkLimits(identityKey, windows, tier = 'default', options = {}) {
         const now = Date.now();
-        const windowStart = now - this.windowMs;
+        const limited = windows.filter(window => window.limit !== Infinity);
 
-        // Get existing timestamps for this identity
-        let timestamps = this.requests.get(identityKey) || [];
+        if (limited.length === 0) {
+            return combineResults(windows, windows.map(window => unlimitedResult(now, window.windowMs)));
+        }
 
-        // Remove expired timestamps (outside current window)
-        timestamps = timestamps.filter(ts => ts > windowStart);
+        const results = await this.checkKeys(limited.map(window => ({
+            identityKey,
+            namespace: `${tier}#${window.windowMs}`,
+            limit: window.limit,
+            windowMs: window.windowMs
+        })), options);
 
-        // Calculate reset time (when oldest request expires)
-        const resetTime = timestamps.length > 0
-            ? Math.ceil((timestamps[0] + this.windowMs) / 1000)
-            : Math.ceil((now + this.windowMs) / 1000);
+        return combineResults(limited, results);
+    }
 
-        // Check if limit exceeded
-        if (timestamps.length >= limit) {
-            this.requests.set(identityKey, timestamps);
+    /**
+     * Check several independent keys at once (e.g. per-identity, per-IP and global limits)
+     * The request is recorded under every key only if all of them have room
+     * @param {Array<object>} checks - [{ identityKey, namespace, limit, windowMs }]
+     * @param {object} [options={}]
+     * @param {number} [options.cost=1] - Units of every limit this request consumes
+     * @returns {Promise<Array<object>>} - One result per check, in order
+     */
+    async checkKeys(checks, options = {}) {
+        const now = Date.now();
+
+        // Evaluate every key without committing (consume() does not mutate state)
+        const evaluated = checks.map((check) => {
+            const windowMs = check.windowMs || this.windowMs;
+            if (check.limit === Infinity) {
+                return { key: null, result: unlimitedResult(now, windowMs) };
+            }
+
+            const key = this._getKey(check.identityKey, check.namespace);
+            const entry = this.requests.get(key);
             return {
-                allowed: false,
-                current: timestamps.length,
-                remaining: 0,
-                resetTime,
-                retryAfter: Math.ceil((timestamps[0] + this.windowMs - now) / 1000)
+                key,
+                windowMs,
+                ...this.algorithm.consume(entry && entry.state, now, check.limit, windowMs, options.cost)
             };
+        });
+
+        const allowed = evaluated.every(check => check.result.allowed);
+        for (const check of evaluated) {
+            // Blocked keys only prune their state; allowed ones record the request
+            if (check.key && (allowed || !check.result.allowed)) {
+                this.requests.set(check.key, { state: check.state, windowMs: check.windowMs });
+            }
+        }
+
+        return evaluated.map(check => check.result);
+    }
+
+    /**
+     * Split a map key back into tier and identity
+     * @private
+     */
+    _parseKey(key) {
+        const separator = key.indexOf(':');
+        return { tier: key.slice(0, separator), identityKey: key.slice(separator + 1) };
+    }
+
+    /**
+     * Keys of an identity in a tier: the tier key itself and, for multi-window
+     * tiers, its {tier}#{windowMs} keys
+     * @private
+     * @returns {Array<object>} - [{ key, namespace }]
+     */
+    _findKeys(identityKey, tier) {
+        const suffix = `:${identityKey}`;
+        const found = [];
+
+        for (const key of this.requests.keys()) {
+            if (!key.endsWith(suffix)) continue;
+            const namespace = key.slice(0, -suffix.length);
+            if (namespace === tier || parseNamespace(namespace).tier === tier) {
+                found.push({ key, namespace });
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Get current usage for a single identity
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {string} [tier='default'] - Tier name used for key namespacing
+     * @returns {Promise<object|null>} - { identityKey, tier, current } or null if not tracked
+     *                                   (multi-window tiers add windows: [{ windowMs, current }])
+     */
+    async get(identityKey, tier = 'default') {
+        const now = Date.now();
+        const usage = this._findKeys(identityKey, tier).map(({ key, namespace }) => {
+            const { state, windowMs } = this.requests.get(key);
+            return { namespace, windowMs, current: this.algorithm.count(state, now, windowMs) };
+        });
+
+        return usage.length === 0 ? null : usageResult(identityKey, tier, usage);
+    }
+
+    /**
+     * Reset limits for a single identity (every window of a multi-window tier)
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {string} [tier='default'] - Tier name used for key namespacing
+     * @returns {Promise<boolean>} - Whether the identity was tracked
+     */
+    async resetKey(identityKey, tier = 'default') {
+        const found = this._findKeys(identityKey, tier);
+        found.forEach(({ key }) => this.requests.delete(key));
+        return found.length > 0;
+    }
+
+    /**
+     * List tracked identities, one page at a time
+     * Multi-window tiers are listed once per identity, like get() reports them
+     * @param {object} [options={}]
+     * @param {string} [options.tier] - Only list identities in this tier
+     * @param {string} [options.cursor] - Cursor returned by the previous page
+     * @param {number} [options.count=100] - Maximum entries per page
+     * @returns {Promise<object>} - { items: [{ identityKey, tier, current, windows? }], cursor: string|null }
+     */
+    async list({ tier, cursor, count = 100 } = {}) {
+        const now = Date.now();
+        // tier:identityKey → usage of each of its keys
+        const groups = new Map();
+
+        for (const [key, { state, windowMs }] of this.requests.entries()) {
+            const { tier: namespace, identityKey } = this._parseKey(key);
+            const base = parseNamespace(namespace).tier;
+            if (tier && base !== tier && namespace !== tier) continue;
+
+            const id = `${base}:${identityKey}`;
+            if (!groups.has(id)) {
+                groups.set(id, { identityKey, tier: base, usage: [] });
+            }
+            groups.get(id).usage.push({ namespace, windowMs, current: this.algorithm.count(state, now, windowMs) });
         }
 
-        // Add current request timestamp
-        timestamps.push(now);
-        this.requests.set(identityKey, timestamps);
+        const entries = Array.from(groups.values());
+        const start = Number(cursor) || 0;
+        const end = start + count;
 
         return {
-            allowed: true,
-            current: timestamps.length,
-            remaining: limit - timestamps.length,
-            resetTime,
-            retryAfter: 0
+            items: entries.slice(start, end).map(entry => usageResult(entry.identityKey, entry.tier, entry.usage)),
+            cursor: end < entries.length ? String(end) : null
         };
     }
 
     /**
      * Clean up expired entries to prevent memory leaks
      * Should be called periodically by CleanupManager
+     * @returns {number} - Number of entries removed
      */
     cleanup() {
         const now = Date.now();
-        const windowStart = now - this.windowMs;
-
-        for (const [key, timestamps] of this.requests.entries()) {
-            const validTimestamps = timestamps.filter(ts => ts > windowStart);
+        let removed = 0;
 
-            if (validTimestamps.length === 0) {
-                // Remove completely expired entries
+        for (const [key, { state, windowMs }] of this.requests.entries()) {
+            // Remove completely expired entries
+            if (this.algorithm.isExpired(state, now, windowMs)) {
                 this.requests.delete(key);
-            } else {
-                // Update with cleaned timestamps
-                this.requests.set(key, validTimestamps);
+                removed++;
+            }
+        }
+
+        for (const [identityKey, { expiresAt }] of this.bans.entries()) {
+            if (expiresAt <= now) {
+                this.bans.delete(identityKey);
+                removed++;
+            }
+        }
+
+        for (const [scope, leases] of this.slots.entries()) {
+            this._expireLeases(leases, now);
+            if (leases.size === 0) {
+                this.slots.delete(scope);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Drop leases whose holder never released them
+     * @private
+     */
+    _expireLeases(leases, now) {
+        for (const [token, expiresAt] of leases.entries()) {
+            if (expiresAt <= now) leases.delete(token);
+        }
+    }
+
+    /**
+     * Lease an in-flight slot in every scope, or in none of them
+     * @param {Array<object>} slots - [{ scope, limit }]
+     * @param {string} token - Unique lease token
+     * @param {number} timeoutMs - Lease lifetime if never released
+     * @returns {Promise<object>} - { allowed, scope?, limit?, inFlight? } (the first full scope when blocked)
+     */
+    async acquireSlots(slots, token, timeoutMs) {
+        const now = Date.now();
+
+        for (const { scope, limit } of slots) {
+            const leases = this.slots.get(scope);
+            if (!leases) continue;
+            this._expireLeases(leases, now);
+            if (leases.size >= limit) {
+                return { allowed: false, scope, limit, inFlight: leases.size };
             }
         }
+
+        for (const { scope } of slots) {
+            if (!this.slots.has(scope)) {
+                this.slots.set(scope, new Map());
+            }
+            this.slots.get(scope).set(token, now + timeoutMs);
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Release a lease taken by acquireSlots()
+     * @param {string[]} scopes - Scopes the lease was taken in
+     * @param {string} token - Lease token
+     * @returns {Promise<void>}
+     */
+    async releaseSlots(scopes, token) {
+        for (const scope of scopes) {
+            const leases = this.slots.get(scope);
+            if (leases) leases.delete(token);
+        }
+    }
+
+    /**
+     * Running ban of an identity (penalty box)
+     * @param {string} identityKey - Unique identifier for the requester
+     * @returns {Promise<object|null>} - { until, offences } or null when not banned
+     */
+    async getBan(identityKey) {
+        const entry = this.bans.get(identityKey);
+        if (!entry || entry.state.until <= Date.now()) return null;
+        return { until: entry.state.until, offences: entry.state.offences };
+    }
+
+    /**
+     * Count a rejected request, banning the identity once it offends too often
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {object} penalty - Compiled penalty options (see penalty.js)
+     * @returns {Promise<object|null>} - { until, offences } when (already) banned, else null
+     */
+    async recordRejection(identityKey, penalty) {
+        const now = Date.now();
+        const entry = this.bans.get(identityKey);
+        const live = entry && entry.expiresAt > now ? entry.state : undefined;
+
+        const { state, ban, expiresAt } = recordRejection(live, now, penalty);
+        this.bans.set(identityKey, { state, expiresAt });
+        return ban;
+    }
+
+    /**
+     * Lift a ban and forget the identity's offences
+     * @param {string} identityKey - Unique identifier for the requester
+     * @returns {Promise<boolean>} - Whether any ban state existed
+     */
+    async clearBan(identityKey) {
+        return this.bans.delete(identityKey);
     }
 
     /**
@@ -85,9 +342,10 @@ class MemoryStore {
      * @returns {Promise<object>} - { totalIdentities: number, totalRequests: number }
      */
     async getStats() {
+        const now = Date.now();
         let totalRequests = 0;
-        for (const timestamps of this.requests.values()) {
-            totalRequests += timestamps.length;
+        for (const { state, windowMs } of this.requests.values()) {
+            totalRequests += this.algorithm.count(state, now, windowMs);
         }
 
         return {
@@ -101,6 +359,8 @@ class MemoryStore {
      */
     async reset() {
         this.requests.clear();
+        this.bans.clear();
+        this.slots.clear();
     }
 
     /**
@@ -122,6 +382,7 @@ class MemoryStore {
  * Factory function to create memory store
  * @param {Object} options - Configuration options
  * @param {number} options.windowMs - Time window in milliseconds
+ * @param {string|object} [options.algorithm='sliding-window'] - Algorithm name or custom strategy
  * @returns {MemoryStore} - Memory store instance
  */
 function createMemoryStore(options = {}) {
@@ -13,8 +13,44 @@
  * - ZCARD counts requests in window
  * - ZADD adds new request
  * - Keys auto-expire after windowMs * 2 (safety margin)
+ *
+ * The whole check-and-increment runs server-side as one Lua script (EVALSHA),
+ * so concurrent requests from different servers can never read the same count
+ * and all pass. Scripts are cached by SHA1 and reloaded on NOSCRIPT.
+ *
+ * Other algorithms (token bucket, fixed window, sliding window counter, GCRA)
+ * keep O(1) state per key and use the same script mechanism.
  */
 
+const crypto = require('crypto');
+const { resolveAlgorithm, getScripts, buildResult, combineResults, unlimitedResult, parseNamespace, usageResult } = require('../algorithms');
+const { RECORD_REJECTION_SCRIPT } = require('../penalty');
+const { ACQUIRE_SCRIPT } = require('../concurrency');
+
+// SHA1 digests of Lua scripts (Map<script, sha>)
+const scriptShas = new Map();
+
+/**
+ * Compute the SHA1 Redis uses to identify a script
+ * @private
+ */
+function getScriptSha(script) {
+    let sha = scriptShas.get(script);
+    if (!sha) {
+        sha = crypto.createHash('sha1').update(script).digest('hex');
+        scriptShas.set(script, sha);
+    }
+    return sha;
+}
+
+/**
+ * Escape SCAN MATCH glob characters
+ * @private
+ */
+function escapeGlob(text) {
+    return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
 /**
  * Redis store implementation
  */
@@ -27,8 +63,16 @@ class RedisStore {
         this.client = redisClient;
         this.windowMs = options.windowMs || 60000;
         this.prefix = options.prefix || 'ratewarden:';
+        this.algorithm = resolveAlgorithm(options.algorithm);
+        // Windows used by checks with a custom windowMs (Map<tier, windowMs>), for lookups;
+        // also kept in Redis for instances that have not served those checks
+        this.windows = new Map();
         this.isConnected = false;
 
+        if (!this.algorithm.lua) {
+            throw new Error(`[ratewarden] Algorithm '${this.algorithm.name}' has no Redis script and cannot be used with the Redis store`);
+        }
+
         // Check if client is already connected
         this._checkConnection();
     }
@@ -62,86 +106,560 @@ class RedisStore {
         return `${this.prefix}${tier}:${identityKey}`;
     }
 
+    /**
+     * Evaluate a Lua script by SHA, loading it on NOSCRIPT
+     * Costs a single round trip once the script is cached on the server
+     * @private
+     */
+    async _evalScript(script, keys, args) {
+        const sha = getScriptSha(script);
+        const options = { keys, arguments: args };
+
+        try {
+            return await this.client.evalSha(sha, options);
+        } catch (error) {
+            if (!String(error.message).startsWith('NOSCRIPT')) {
+                throw error;
+            }
+            // Script cache was flushed or this server never saw it: load and retry
+            await this.client.scriptLoad(script);
+            return this.client.evalSha(sha, options);
+        }
+    }
+
     /**
      * Check if a request should be allowed and increment counter
-     * Uses sliding window algorithm with Redis sorted sets
+     * Runs the configured algorithm (default: sliding window with Redis sorted sets)
+     * atomically as a single Lua script
      * 
      * @param {string} identityKey - Unique identifier for the requester
      * @param {number} limit - Maximum requests allowed in window
      * @param {string} [tier='default'] - Tier name for key namespacing
+     * @param {object} [options={}]
+     * @param {number} [options.windowMs] - Window for this check (default: store windowMs)
+     * @param {number} [options.cost=1] - Units of the limit this request consumes
      * @returns {Promise<object>} - { allowed: boolean, current: number, remaining: number, resetTime: number, retryAfter: number }
      */
-    async checkLimit(identityKey, limit, tier = 'default') {
+    async checkLimit(identityKey, limit, tier = 'default', options = {}) {
         const now = Date.now();
-        const windowStart = now - this.windowMs;
         const key = this._getKey(identityKey, tier);
+        const windowMs = options.windowMs || this.windowMs;
+
+        if (limit === Infinity) {
+            return unlimitedResult(now, windowMs);
+        }
 
         try {
-            // Use a pipeline for atomic operations (Redis >=4.0 uses multi())
-            const multi = this.client.multi();
+            await this._rememberWindow(tier, windowMs);
 
-            // Step 1: Remove expired entries (outside sliding window)
-            multi.zRemRangeByScore(key, 0, windowStart);
+            // Unique member so duplicates at the same millisecond are kept
+            const member = `${now}-${Math.random().toString(36).substr(2, 9)}`;
 
-            // Step 2: Count current requests in window
-            multi.zCard(key);
+            const [allowed, current, remaining, resetAtMs, retryAfterMs] = await this._evalScript(
+                getScripts(this.algorithm).single,
+                [key],
+                [String(now), String(limit), String(windowMs), member, String(options.cost === undefined ? 1 : options.cost)]
+            );
 
-            // Step 3: Get oldest timestamp (for reset time calculation)
-            multi.zRange(key, 0, 0, { REV: false });
+            return buildResult(allowed === 1, current, remaining, resetAtMs, retryAfterMs);
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in checkLimit: ${error.message}`);
+        }
+    }
 
-            // Execute pipeline
-            const results = await multi.exec();
+    /**
+     * Check several windows at once (e.g. 10/sec + 600/min + 20,000/day)
+     * The request is recorded in every window only if all of them have room,
+     * atomically in a single Lua script.
+     *
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {Array<object>} windows - [{ limit, windowMs }]
+     * @param {string} [tier='default'] - Tier name for key namespacing
+     * @param {object} [options={}]
+     * @param {number} [options.cost=1] - Units of every limit this request consumes
+     * @returns {Promise<object>} - Result of the most restrictive window plus
+     *                              { limit, windowMs, windows: [per-window results] }
+     */
+    async checkLimits(identityKey, windows, tier = 'default', options = {}) {
+        const now = Date.now();
+        const limited = windows.filter(window => window.limit !== Infinity);
 
-            // Parse results (results is an array of values)
-            const currentCount = results[1] || 0;
-            const oldestEntries = results[2] || [];
+        if (limited.length === 0) {
+            return combineResults(windows, windows.map(window => unlimitedResult(now, window.windowMs)));
+        }
 
-            // Calculate reset time
-            let resetTime;
-            if (oldestEntries.length > 0 && oldestEntries[0]) {
-                // Parse timestamp from the member (format: "timestamp-random")
-                const oldestTimestamp = parseInt(oldestEntries[0].split('-')[0]);
-                resetTime = Math.ceil((oldestTimestamp + this.windowMs) / 1000);
-            } else {
-                resetTime = Math.ceil((now + this.windowMs) / 1000);
+        try {
+            const results = await this._checkKeys(limited.map(window => ({
+                identityKey,
+                namespace: `${tier}#${window.windowMs}`,
+                limit: window.limit,
+                windowMs: window.windowMs
+            })), options);
+
+            return combineResults(limited, results);
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in checkLimits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check several independent keys at once (e.g. per-identity, per-IP and global limits)
+     * The request is recorded under every key only if all of them have room,
+     * atomically in a single Lua script.
+     *
+     * @param {Array<object>} checks - [{ identityKey, namespace, limit, windowMs }]
+     * @param {object} [options={}]
+     * @param {number} [options.cost=1] - Units of every limit this request consumes
+     * @returns {Promise<Array<object>>} - One result per check, in order
+     */
+    async checkKeys(checks, options = {}) {
+        try {
+            return await this._checkKeys(checks, options);
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in checkKeys: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _checkKeys(checks, options) {
+        const now = Date.now();
+        const results = new Array(checks.length);
+        const limited = [];
+
+        checks.forEach((check, i) => {
+            const windowMs = check.windowMs || this.windowMs;
+            if (check.limit === Infinity) {
+                results[i] = unlimitedResult(now, windowMs);
+                return;
             }
+            limited.push({ index: i, key: this._getKey(check.identityKey, check.namespace), namespace: check.namespace, limit: check.limit, windowMs });
+        });
+
+        for (const check of limited) {
+            await this._rememberWindow(check.namespace, check.windowMs);
+        }
+
+        if (limited.length === 0) {
+            return results;
+        }
 
-            // Check if limit exceeded
-            if (currentCount >= limit) {
-                // Calculate retry after
-                let retryAfter = 0;
-                if (oldestEntries.length > 0 && oldestEntries[0]) {
-                    const oldestTimestamp = parseInt(oldestEntries[0].split('-')[0]);
-                    retryAfter = Math.ceil((oldestTimestamp + this.windowMs - now) / 1000);
+        const member = `${now}-${Math.random().toString(36).substr(2, 9)}`;
+        const args = [String(now), member, String(options.cost === undefined ? 1 : options.cost)];
+        for (const check of limited) {
+            args.push(String(check.limit), String(check.windowMs));
+        }
+
+        const flat = await this._evalScript(
+            getScripts(this.algorithm).multi,
+            limited.map(check => check.key),
+            args
+        );
+
+        limited.forEach((check, i) => {
+            const [allowed, current, remaining, resetAtMs, retryAfterMs] = flat.slice(i * 5, i * 5 + 5);
+            results[check.index] = buildResult(allowed === 1, current, remaining, resetAtMs, retryAfterMs);
+        });
+
+        return results;
+    }
+
+    /**
+     * Split a Redis key back into tier and identity
+     * @private
+     */
+    _parseKey(key) {
+        const rest = key.slice(this.prefix.length);
+        const separator = rest.indexOf(':');
+        return { tier: rest.slice(0, separator), identityKey: rest.slice(separator + 1) };
+    }
+
+    /**
+     * Redis hash of the custom windows of namespaces (namespace → windowMs)
+     * Kept outside the prefix so list(), getStats() and reset() never touch it
+     * @private
+     */
+    _getWindowsKey() {
+        return `${this.prefix.replace(/:$/, '')}-windows`;
+    }
+
+    /**
+     * Record the window of a namespace checked with a custom windowMs (rules), once per
+     * namespace and instance, so peeks from other instances use the same window
+     * @private
+     */
+    async _rememberWindow(namespace, windowMs) {
+        if (windowMs === this.windowMs || parseNamespace(namespace).windowMs !== undefined) return;
+        if (this.windows.get(namespace) === windowMs) return;
+
+        await this.client.hSet(this._getWindowsKey(), namespace, String(windowMs));
+        this.windows.set(namespace, windowMs);
+    }
+
+    /**
+     * Window of a namespace
+     * Multi-window keys carry their window in the namespace ({tier}#{windowMs}); custom
+     * windows checked by other instances are read from Redis
+     * @private
+     * @returns {Promise<number>}
+     */
+    async _getWindowMs(namespace) {
+        const parsed = parseNamespace(namespace);
+        if (parsed.windowMs !== undefined) return parsed.windowMs;
+        if (this.windows.has(namespace)) return this.windows.get(namespace);
+
+        const stored = Number(await this.client.hGet(this._getWindowsKey(), namespace));
+        if (stored > 0) {
+            this.windows.set(namespace, stored);
+            return stored;
+        }
+        return this.windowMs;
+    }
+
+    /**
+     * Read usage for a key without consuming
+     * @private
+     */
+    async _peek(key, tier) {
+        const [exists, current] = await this._evalScript(
+            this.algorithm.peekScript,
+            [key],
+            [String(Date.now()), String(await this._getWindowMs(tier))]
+        );
+        return exists === 1 ? current : null;
+    }
+
+    /**
+     * Keys of an identity in a tier: the tier key itself and, for multi-window
+     * tiers, its {tier}#{windowMs} keys (found with SCAN, so windows counted by
+     * other servers are included)
+     * @private
+     * @returns {Promise<Array<object>>} - [{ key, namespace }]
+     */
+    async _findKeys(identityKey, tier) {
+        const found = [{ key: this._getKey(identityKey, tier), namespace: tier }];
+        const pattern = `${escapeGlob(this.prefix + tier)}#*:${escapeGlob(identityKey)}`;
+
+        let cursor = 0;
+        do {
+            const page = await this.client.scan(cursor, { MATCH: pattern, COUNT: 1000 });
+            for (const key of page.keys) {
+                const namespace = key.slice(this.prefix.length, key.length - identityKey.length - 1);
+                if (parseNamespace(namespace).tier === tier) {
+                    found.push({ key, namespace });
                 }
+            }
+            cursor = Number(page.cursor);
+        } while (cursor !== 0);
+
+        return found;
+    }
 
-                return {
-                    allowed: false,
-                    current: currentCount,
-                    remaining: 0,
-                    resetTime,
-                    retryAfter
-                };
+    /**
+     * Get current usage for a single identity
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {string} [tier='default'] - Tier name used for key namespacing
+     * @returns {Promise<object|null>} - { identityKey, tier, current } or null if not tracked
+     *                                   (multi-window tiers add windows: [{ windowMs, current }])
+     */
+    async get(identityKey, tier = 'default') {
+        try {
+            const usage = [];
+            for (const { key, namespace } of await this._findKeys(identityKey, tier)) {
+                const current = await this._peek(key, namespace);
+                if (current !== null) {
+                    usage.push({ namespace, windowMs: await this._getWindowMs(namespace), current });
+                }
             }
+            return usage.length === 0 ? null : usageResult(identityKey, tier, usage);
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in get: ${error.message}`);
+        }
+    }
 
-            // Step 4: Add current request (use unique member to allow duplicates at same ms)
-            const member = `${now}-${Math.random().toString(36).substr(2, 9)}`;
-            await this.client.zAdd(key, { score: now, value: member });
+    /**
+     * Reset limits for a single identity (every window of a multi-window tier)
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {string} [tier='default'] - Tier name used for key namespacing
+     * @returns {Promise<boolean>} - Whether the identity was tracked
+     */
+    async resetKey(identityKey, tier = 'default') {
+        try {
+            const keys = (await this._findKeys(identityKey, tier)).map(({ key }) => key);
+            return (await this.client.del(keys)) > 0;
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in resetKey: ${error.message}`);
+        }
+    }
 
-            // Step 5: Set expiration (TTL = window * 2 for safety)
-            const ttlSeconds = Math.ceil(this.windowMs / 1000) * 2;
-            await this.client.expire(key, ttlSeconds);
+    /**
+     * List tracked identities, one SCAN page at a time
+     * The windows of a multi-window tier are combined per identity, like get() reports
+     * them; SCAN may return the windows of one identity on different pages
+     * @param {object} [options={}]
+     * @param {string} [options.tier] - Only list identities in this tier
+     * @param {string} [options.cursor] - Cursor returned by the previous page
+     * @param {number} [options.count=100] - SCAN COUNT hint per page
+     * @returns {Promise<object>} - { items: [{ identityKey, tier, current, windows? }], cursor: string|null }
+     */
+    async list({ tier, cursor, count = 100 } = {}) {
+        try {
+            const page = await this.client.scan(cursor || 0, {
+                // The tier's own keys and its {tier}#{windowMs} keys
+                MATCH: tier ? `${escapeGlob(this.prefix + tier)}[:#]*` : `${escapeGlob(this.prefix)}*`,
+                COUNT: count
+            });
 
-            return {
-                allowed: true,
-                current: currentCount + 1,
-                remaining: limit - currentCount - 1,
-                resetTime,
-                retryAfter: 0
+            // tier:identityKey → usage of each of its keys
+            const groups = new Map();
+            for (const key of page.keys) {
+                const { tier: namespace, identityKey } = this._parseKey(key);
+                const base = parseNamespace(namespace).tier;
+                if (tier && base !== tier && namespace !== tier) continue;
+
+                const current = await this._peek(key, namespace);
+                if (current === null) continue;
+
+                const id = `${base}:${identityKey}`;
+                if (!groups.has(id)) {
+                    groups.set(id, { identityKey, tier: base, usage: [] });
+                }
+                groups.get(id).usage.push({ namespace, windowMs: await this._getWindowMs(namespace), current });
+            }
+
+            const items = Array.from(groups.values()).map(entry => usageResult(entry.identityKey, entry.tier, entry.usage));
+            const next = String(page.cursor);
+            return { items, cursor: next === '0' ? null : next };
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Redis set holding a shared allowlist/blocklist
+     * Kept outside the prefix so list(), getStats() and reset() never touch it
+     * @private
+     */
+    _getListKey(name) {
+        return `${this.prefix.replace(/:$/, '')}-lists:${name}`;
+    }
+
+    /**
+     * Read the entries of a shared list
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @returns {Promise<string[]>}
+     */
+    async getListEntries(name) {
+        try {
+            return await this.client.sMembers(this._getListKey(name));
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in getListEntries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add entries to a shared list
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @param {string[]} entries - Entries to add
+     */
+    async addListEntries(name, entries) {
+        if (entries.length === 0) return;
+        try {
+            await this.client.sAdd(this._getListKey(name), entries);
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in addListEntries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove entries from a shared list
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @param {string[]} entries - Entries to remove
+     */
+    async removeListEntries(name, entries) {
+        if (entries.length === 0) return;
+        try {
+            await this.client.sRem(this._getListKey(name), entries);
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in removeListEntries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace every entry of a shared list (atomically, in one MULTI)
+     * @param {string} name - 'allowlist' or 'blocklist'
+     * @param {string[]} entries - New entries
+     */
+    async replaceListEntries(name, entries) {
+        const key = this._getListKey(name);
+        try {
+            const transaction = this.client.multi().del(key);
+            if (entries.length > 0) {
+                transaction.sAdd(key, entries);
+            }
+            await transaction.exec();
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in replaceListEntries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Redis key (and pub/sub channel) of the shared runtime configuration
+     * Kept outside the prefix so list(), getStats() and reset() never touch it
+     * @private
+     */
+    _getConfigKey() {
+        return `${this.prefix.replace(/:$/, '')}-config`;
+    }
+
+    /**
+     * Read the shared runtime configuration
+     * @returns {Promise<string|null>} - Document text, or null when none was published
+     */
+    async getConfigDocument() {
+        try {
+            return await this.client.get(this._getConfigKey());
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in getConfigDocument: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store the shared runtime configuration and notify every subscribed instance
+     * @param {string} text - Document text (JSON)
+     */
+    async saveConfigDocument(text) {
+        const key = this._getConfigKey();
+        try {
+            await this.client.set(key, text);
+            await this.client.publish(key, String(Date.now()));
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in saveConfigDocument: ${error.message}`);
+        }
+    }
+
+    /**
+     * Listen for configuration changes (on a dedicated connection, as pub/sub requires)
+     * @param {Function} listener - Called without arguments on every change
+     * @returns {Promise<Function>} - async () => void, unsubscribes and closes the connection
+     */
+    async subscribeConfig(listener) {
+        const key = this._getConfigKey();
+        try {
+            const subscriber = this.client.duplicate();
+            await subscriber.connect();
+            await subscriber.subscribe(key, () => listener());
+            return async () => {
+                await subscriber.unsubscribe(key);
+                await subscriber.quit();
             };
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in subscribeConfig: ${error.message}`);
+        }
+    }
 
+    /**
+     * Redis hash holding an identity's ban state (expires with its own TTL)
+     * Kept outside the prefix so list(), getStats() and reset() never touch it
+     * @private
+     */
+    _getBanKey(identityKey) {
+        return `${this.prefix.replace(/:$/, '')}-bans:${identityKey}`;
+    }
+
+    /**
+     * Running ban of an identity (penalty box)
+     * @param {string} identityKey - Unique identifier for the requester
+     * @returns {Promise<object|null>} - { until, offences } or null when not banned
+     */
+    async getBan(identityKey) {
+        try {
+            const [until, offences] = await this.client.hmGet(this._getBanKey(identityKey), ['until', 'offences']);
+            if (!(Number(until) > Date.now())) return null;
+            return { until: Number(until), offences: Number(offences) };
         } catch (error) {
-            throw new Error(`[ratewarden] Redis error in checkLimit: ${error.message}`);
+            throw new Error(`[ratewarden] Redis error in getBan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a rejected request, banning the identity once it offends too often
+     * Runs atomically in a Lua script so concurrent rejections are all counted.
+     * @param {string} identityKey - Unique identifier for the requester
+     * @param {object} penalty - Compiled penalty options (see penalty.js)
+     * @returns {Promise<object|null>} - { until, offences } when (already) banned, else null
+     */
+    async recordRejection(identityKey, penalty) {
+        try {
+            const [until, offences] = await this._evalScript(
+                RECORD_REJECTION_SCRIPT,
+                [this._getBanKey(identityKey)],
+                [Date.now(), penalty.threshold, penalty.periodMs, penalty.banMs, penalty.multiplier, penalty.maxBanMs, penalty.resetMs].map(String)
+            );
+            return until > 0 ? { until, offences } : null;
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in recordRejection: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lift a ban and forget the identity's offences
+     * @param {string} identityKey - Unique identifier for the requester
+     * @returns {Promise<boolean>} - Whether any ban state existed
+     */
+    async clearBan(identityKey) {
+        try {
+            return (await this.client.del(this._getBanKey(identityKey))) > 0;
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in clearBan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sorted set holding the in-flight leases of a scope
+     * Kept outside the prefix so list(), getStats() and reset() never touch it
+     * @private
+     */
+    _getSlotKey(scope) {
+        return `${this.prefix.replace(/:$/, '')}-inflight:${scope}`;
+    }
+
+    /**
+     * Lease an in-flight slot in every scope, or in none of them (atomically, in Lua)
+     * @param {Array<object>} slots - [{ scope, limit }]
+     * @param {string} token - Unique lease token
+     * @param {number} timeoutMs - Lease lifetime if never released
+     * @returns {Promise<object>} - { allowed, scope?, limit?, inFlight? } (the first full scope when blocked)
+     */
+    async acquireSlots(slots, token, timeoutMs) {
+        try {
+            const [allowed, index, inFlight] = await this._evalScript(
+                ACQUIRE_SCRIPT,
+                slots.map(slot => this._getSlotKey(slot.scope)),
+                [String(Date.now()), token, String(timeoutMs), ...slots.map(slot => String(slot.limit))]
+            );
+            if (allowed === 1) {
+                return { allowed: true };
+            }
+            const full = slots[index - 1];
+            return { allowed: false, scope: full.scope, limit: full.limit, inFlight };
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in acquireSlots: ${error.message}`);
+        }
+    }
+
+    /**
+     * Release a lease taken by acquireSlots()
+     * @param {string[]} scopes - Scopes the lease was taken in
+     * @param {string} token - Lease token
+     * @returns {Promise<void>}
+     */
+    async releaseSlots(scopes, token) {
+        try {
+            await Promise.all(scopes.map(scope => this.client.zRem(this._getSlotKey(scope), token)));
+        } catch (error) {
+            throw new Error(`[ratewarden] Redis error in releaseSlots: ${error.message}`);
         }
     }
 
@@ -156,19 +674,23 @@ class RedisStore {
 
     /**
      * Get current stats (approximate)
-     * Note: This scans keys and can be expensive on large datasets
+     * Note: This scans keys and can be expensive on large datasets.
+     * Request counts are only tracked by the sliding window (sorted set) algorithm;
+     * other algorithms report totalRequests as 0
      * @returns {Promise<object>} - { totalIdentities: number, totalRequests: number }
      */
     async getStats() {
         try {
             // Scan for all ratewarden keys
-            const keys = await this.client.keys(`${this.prefix}*`);
+            const keys = await this.client.keys(`${escapeGlob(this.prefix)}*`);
             let totalRequests = 0;
 
             // Count requests in each key
-            for (const key of keys) {
-                const count = await this.client.zCard(key);
-                totalRequests += count;
+            if (this.algorithm.name === 'sliding-window') {
+                for (const key of keys) {
+                    const count = await this.client.zCard(key);
+                    totalRequests += count;
+                }
             }
 
             return {
@@ -186,7 +708,7 @@ class RedisStore {
      */
     async reset() {
         try {
-            const keys = await this.client.keys(`${this.prefix}*`);
+            const keys = await this.client.keys(`${escapeGlob(this.prefix)}*`);
             if (keys.length > 0) {
                 await this.client.del(keys);
             }
@@ -224,6 +746,7 @@ class RedisStore {
  * @param {Object} options - Configuration options
  * @param {number} options.windowMs - Time window in milliseconds
  * @param {string} options.prefix - Redis key prefix (default: 'ratewarden:')
+ * @param {string|object} [options.algorithm='sliding-window'] - Algorithm name or custom strategy
  * @returns {RedisStore} - Redis store instance
  * 
  * @example
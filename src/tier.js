@@ -18,17 +18,20 @@ const DEFAULT_WINDOW_MS = 60 * 1000;
  * @param {object} req - Express request object
  * @param {string} source - Identity source ('token', 'userId', 'ip')
  * @param {function} customResolver - Optional custom tier resolver
+ * @param {string} [identityTier] - Tier carried by the identity (e.g. a JWT claim)
  * @returns {string} - Tier name
  */
-function resolveTier(req, source, customResolver) {
+function resolveTier(req, source, customResolver, identityTier) {
     // Use custom resolver if provided
     if (customResolver && typeof customResolver === 'function') {
         const customTier = customResolver(req);
         if (customTier) return customTier;
     }
 
+    if (identityTier) return identityTier;
+
     // Default tier resolution based on identity source
-    if (source === 'token' || source === 'userId') {
+    if (source === 'jwt' || source === 'token' || source === 'userId') {
         return 'free'; // Authenticated users get free tier by default
     }
 
@@ -39,16 +42,47 @@ function resolveTier(req, source, customResolver) {
  * Get limit for a given tier
  * @param {string} tier - Tier name
  * @param {object} tiers - Tier configuration object
- * @returns {number} - Request limit
+ * @returns {number|object|Array<object>} - Request limit, or window definition(s)
  */
 function getTierLimit(tier, tiers) {
     const config = tiers || DEFAULT_TIERS;
     return config[tier] !== undefined ? config[tier] : config.free;
 }
 
+/**
+ * Normalize a tier limit to a list of windows
+ * A tier may be a number (limit per default window), one { limit, windowMs }
+ * or several of them, e.g. 10/sec + 600/min + 20,000/day:
+ *   [{ limit: 10, windowMs: 1000 }, { limit: 600, windowMs: 60000 }, { limit: 20000, windowMs: 86400000 }]
+ * @param {number|object|Array<object>} tierLimit - Value from the tier table
+ * @param {number} windowMs - Default window in milliseconds
+ * @returns {Array<object>} - [{ limit, windowMs }]
+ */
+function getTierWindows(tierLimit, windowMs) {
+    if (typeof tierLimit === 'number') {
+        return [{ limit: tierLimit, windowMs }];
+    }
+
+    const windows = [].concat(tierLimit).map(window => ({
+        limit: window.limit,
+        windowMs: window.windowMs || windowMs
+    }));
+
+    const seen = new Set();
+    for (const window of windows) {
+        if (seen.has(window.windowMs)) {
+            throw new Error(`[ratewarden] Tier defines windowMs ${window.windowMs} more than once`);
+        }
+        seen.add(window.windowMs);
+    }
+
+    return windows;
+}
+
 module.exports = {
     resolveTier,
     getTierLimit,
+    getTierWindows,
     DEFAULT_TIERS,
     DEFAULT_WINDOW_MS
 };
@@ -6,6 +6,18 @@
 const ratewarden = require('../src/index');
 const { resolveIdentity } = require('../src/identity');
 const SlidingWindowLimiter = require('../src/limiter');
+const createMemoryStore = require('../src/stores/memory');
+const createRedisStore = require('../src/stores/redis');
+const { createLimiter } = require('../src/core');
+const ratewardenFastify = require('../src/adapters/fastify');
+const ratewardenKoa = require('../src/adapters/koa');
+const { withRateLimit, createRequestLimiter } = require('../src/adapters/http');
+const { MetricsRegistry, metricsHandler } = require('../src/metrics');
+const { hashValue, getClientIP } = require('../src/identity');
+const { compileTrust, normalizeIP } = require('../src/ip');
+const { compilePath } = require('../src/rules');
+const { queryComplexity } = require('../src/graphql');
+const { compilePenalty, recordRejection } = require('../src/penalty');
 
 // Test results
 let passed = 0;
@@ -37,6 +49,28 @@ function mockResponse() {
     return res;
 }
 
+// Helper: Redis MATCH glob as a RegExp (*, ?, [...] and \ escapes)
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '\\') {
+            source += `\\${glob[++i]}`;
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i);
+            source += glob.slice(i, end + 1);
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
 // Test assertion
 function assert(condition, message) {
     if (condition) {
@@ -48,6 +82,31 @@ function assert(condition, message) {
     }
 }
 
+// Async test sections, run in order after the timer-based tests below
+const asyncTests = [];
+
+async function runAsyncTests() {
+    for (const test of asyncTests) {
+        await test();
+    }
+}
+
+// Print results and exit
+function printResults() {
+    console.log('\n=== Test Results ===\n');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total: ${passed + failed}`);
+
+    if (failed === 0) {
+        console.log('\n✓ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.log('\n✗ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
 // Test: Identity resolution
 console.log('\n=== Testing Identity Resolution ===\n');
 
@@ -159,21 +218,1538 @@ setTimeout(() => {
                 setTimeout(() => {
                     assert(next4Called === true, 'Different identity should have separate limit');
 
-                    // Results
-                    console.log('\n=== Test Results ===\n');
-                    console.log(`Passed: ${passed}`);
-                    console.log(`Failed: ${failed}`);
-                    console.log(`Total: ${passed + failed}`);
-
-                    if (failed === 0) {
-                        console.log('\n✓ All tests passed!\n');
-                        process.exit(0);
-                    } else {
-                        console.log('\n✗ Some tests failed!\n');
-                        process.exit(1);
-                    }
+                    runAsyncTests().then(printResults, (error) => {
+                        console.error(`✗ Async tests crashed: ${error.stack}`);
+                        failed++;
+                        printResults();
+                    });
                 }, 50);
             }, 50);
         }, 50);
     }, 50);
 }, 1100); // Wait for window to expire
+
+// Test: Algorithms
+asyncTests.push(async () => {
+    console.log('\n=== Testing Algorithms ===\n');
+
+    for (const algorithm of ['sliding-window', 'sliding-window-counter', 'fixed-window', 'token-bucket', 'gcra']) {
+        const store = createMemoryStore({ windowMs: 60000, algorithm });
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await store.checkLimit('algo-key', 3, 'free'));
+        }
+
+        assert(results.slice(0, 3).every(r => r.allowed), `${algorithm}: should allow requests up to the limit`);
+        assert(results[2].remaining === 0, `${algorithm}: should report 0 remaining at the limit`);
+        assert(results[3].allowed === false && results[3].retryAfter > 0, `${algorithm}: should block over the limit with retry-after`);
+        assert(['allowed', 'current', 'remaining', 'resetTime', 'retryAfter'].every(k => k in results[3]),
+            `${algorithm}: should return the standard result shape`);
+
+        const other = await store.checkLimit('algo-key', 3, 'pro');
+        assert(other.allowed === true, `${algorithm}: tiers should be namespaced separately`);
+    }
+
+    for (const algorithm of ['token-bucket', 'gcra']) {
+        const closed = await createMemoryStore({ algorithm }).checkLimit('closed-key', 0, 'free');
+        assert(!closed.allowed && closed.retryAfter === 60 && closed.remaining === 0, `${algorithm}: a limit of 0 should reject with a full window to retry`);
+        const limiter = createLimiter({ tiers: { free: 100, guest: 0 }, algorithm, metrics: false });
+        const decision = await limiter.consume({ headers: {}, ip: '10.0.0.9' });
+        assert(decision.headers['Retry-After'] === '60' && decision.headers['RateLimit-Reset'] === '60', `${algorithm}: a limit of 0 should send finite Retry-After and Reset headers`);
+        await limiter.close();
+    }
+
+    // 3 per day: the refill after retryAfterMs lands a rounding error short of one token
+    const tokenBucket = require('../src/algorithms').ALGORITHMS['token-bucket'];
+    const drained = tokenBucket.consume(undefined, 0, 3, 86400000, 3).state;
+    const rejected = tokenBucket.consume(drained, 8, 3, 86400000);
+    const retryAt = 8 + rejected.result.retryAfterMs;
+    assert(!rejected.result.allowed && tokenBucket.consume(drained, retryAt, 3, 86400000).result.allowed
+        && tokenBucket.consume(rejected.state, retryAt, 3, 86400000).result.allowed, 'token-bucket: a retry at exactly retryAfterMs should be allowed');
+    assert(/if commit then\s+redis\.call\('HSET'/.test(tokenBucket.lua), 'token-bucket: the Redis check should only write state when committing');
+
+    const unlimited = await createMemoryStore({ algorithm: 'gcra' }).checkLimit('admin-key', Infinity, 'admin');
+    assert(unlimited.allowed === true && unlimited.remaining === Infinity, 'Infinity limit should always allow');
+
+    let threw = false;
+    try {
+        createMemoryStore({ algorithm: 'leaky-bucket' });
+    } catch (error) {
+        threw = /Unknown algorithm/.test(error.message);
+    }
+    assert(threw, 'Unknown algorithm should throw a descriptive error');
+});
+
+// Test: Redis script execution (EVALSHA with NOSCRIPT fallback)
+asyncTests.push(async () => {
+    console.log('\n=== Testing Redis Script Execution ===\n');
+
+    const calls = [];
+    const loaded = new Set();
+    const client = {
+        isReady: true,
+        async evalSha(sha, options) {
+            calls.push({ command: 'evalSha', sha, options });
+            if (!loaded.has(sha)) {
+                throw new Error('NOSCRIPT No matching script. Please use EVAL.');
+            }
+            return [1, 1, 2, Date.now() + 60000, 0];
+        },
+        async scriptLoad(script) {
+            calls.push({ command: 'scriptLoad' });
+            const sha = require('crypto').createHash('sha1').update(script).digest('hex');
+            loaded.add(sha);
+            return sha;
+        }
+    };
+
+    const store = createRedisStore(client, { windowMs: 60000 });
+    const first = await store.checkLimit('redis-key', 3, 'free');
+    assert(first.allowed === true && first.remaining === 2, 'Should parse script result into standard shape');
+    assert(calls.map(c => c.command).join(',') === 'evalSha,scriptLoad,evalSha', 'Should reload script on NOSCRIPT and retry');
+    assert(calls[0].options.keys[0] === 'ratewarden:free:redis-key', 'Should namespace Redis key by tier');
+
+    calls.length = 0;
+    await store.checkLimit('redis-key', 3, 'free');
+    assert(calls.length === 1 && calls[0].command === 'evalSha', 'Should need a single round trip once the script is cached');
+});
+
+// Test: Framework-agnostic core and adapters
+asyncTests.push(async () => {
+    console.log('\n=== Testing Core and Adapters ===\n');
+
+    const limiter = createLimiter({ tiers: { guest: 1, free: 2 } });
+    const allowed = await limiter.consume({ headers: {}, ip: '10.0.0.1' });
+    assert(allowed.allowed === true && allowed.tier === 'guest', 'consume() should allow and resolve tier');
+    assert(allowed.identity.source === 'ip', 'consume() should report identity source');
+    assert(allowed.headers['RateLimit-Remaining'] === '0', 'consume() should return RateLimit headers');
+
+    const blocked = await limiter.consume({ headers: {}, ip: '10.0.0.1' });
+    assert(blocked.allowed === false && blocked.headers['Retry-After'] !== undefined, 'consume() should block with Retry-After');
+    await limiter.close();
+
+    const failing = createLimiter();
+    failing.store.checkLimit = async () => { throw new Error('store down'); };
+    const originalError = console.error;
+    console.error = () => {};
+    const failOpen = await failing.consume({ headers: {}, ip: '10.0.0.2' });
+    console.error = originalError;
+    assert(failOpen.allowed === true && failOpen.error instanceof Error, 'consume() should fail open on store errors');
+    await failing.close();
+
+    // Koa
+    const koaMiddleware = ratewardenKoa({ tiers: { free: 100, guest: 1 } });
+    const koaContexts = [];
+    for (let i = 0; i < 2; i++) {
+        const ctx = {
+            headers: {},
+            ip: '10.0.0.3',
+            status: 404,
+            responseHeaders: {},
+            set(fields) { Object.assign(this.responseHeaders, fields); }
+        };
+        let nextCalled = false;
+        await koaMiddleware(ctx, async () => { nextCalled = true; });
+        koaContexts.push({ ctx, nextCalled });
+    }
+    assert(koaContexts[0].nextCalled === true, 'Koa: should call next() when allowed');
+    assert(koaContexts[1].ctx.status === 429 && koaContexts[1].ctx.body.error === 'Too many requests', 'Koa: should respond 429 when blocked');
+    assert(koaContexts[1].ctx.responseHeaders['Retry-After'] !== undefined, 'Koa: should set Retry-After');
+
+    // Fastify
+    const hooks = {};
+    await ratewardenFastify({ addHook(name, fn) { hooks[name] = fn; }, decorate() {} }, { tiers: { free: 100, guest: 1 } });
+    assert(typeof hooks.onRequest === 'function', 'Fastify: should register an onRequest hook');
+    const replies = [];
+    for (let i = 0; i < 2; i++) {
+        const reply = {
+            statusCode: 200,
+            sent: {},
+            headers(fields) { Object.assign(this.sent, fields); return this; },
+            code(status) { this.statusCode = status; return this; },
+            send(body) { this.body = body; return this; }
+        };
+        await hooks.onRequest({ headers: {}, ip: '10.0.0.4' }, reply);
+        replies.push(reply);
+    }
+    assert(replies[0].statusCode === 200 && replies[0].sent['RateLimit-Limit'] === '1', 'Fastify: should set headers when allowed');
+    assert(replies[1].statusCode === 429 && replies[1].body.tier === 'guest', 'Fastify: should respond 429 when blocked');
+    await hooks.onClose();
+});
+
+// Test: Raw http and serverless adapter
+asyncTests.push(async () => {
+    console.log('\n=== Testing Raw HTTP and Serverless Adapter ===\n');
+
+    const handled = [];
+    const wrapped = withRateLimit((req, res) => {
+        handled.push(req);
+        res.end('ok');
+    }, { tiers: { free: 100, guest: 1 } });
+
+    const responses = [];
+    for (let i = 0; i < 2; i++) {
+        // Bare http.ServerResponse surface: no status()/json()
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(name, value) { this.headers[name] = value; },
+            writeHead(status, headers) { this.statusCode = status; Object.assign(this.headers, headers); },
+            end(chunk) { this.body = chunk; }
+        };
+        await wrapped({ headers: {}, socket: { remoteAddress: '10.0.1.1' } }, res);
+        responses.push(res);
+    }
+    assert(handled.length === 1, 'http: should call the handler only when allowed');
+    assert(responses[0].headers['RateLimit-Limit'] === '1', 'http: should set RateLimit headers on allowed requests');
+    assert(responses[1].statusCode === 429 && JSON.parse(responses[1].body).tier === 'guest', 'http: should write 429 with writeHead/end');
+    assert(responses[1].headers['Retry-After'] !== undefined, 'http: should send Retry-After on 429');
+
+    const check = createRequestLimiter({ tiers: { guest: 1, free: 5 } });
+    const event = { headers: { 'X-User-Id': 'lambda-user' }, requestContext: { http: { sourceIp: '10.0.1.2' } } };
+    const decision = await check(event);
+    assert(decision.allowed === true && decision.identity.source === 'userId', 'serverless: should normalize header case');
+
+    const anonymous = { headers: {}, requestContext: { identity: { sourceIp: '10.0.1.3' } } };
+    await check(anonymous);
+    const blocked = await check(anonymous);
+    assert(blocked.allowed === false && blocked.body.error === 'Too many requests', 'serverless: should return a blocked decision with body');
+
+    const routed = createRequestLimiter({ tiers: { guest: 100, free: 100 }, rules: { 'POST /login': { tiers: { guest: 1 } } } });
+    const v1 = { httpMethod: 'POST', path: '/login', headers: {}, queryStringParameters: null, requestContext: { identity: { sourceIp: '10.0.1.4' } } };
+    assert((await routed(v1)).rule === 'post-login' && !(await routed(v1)).allowed, 'serverless: API Gateway v1 events should match rules on httpMethod and path');
+    const v2 = { rawPath: '/login', rawQueryString: 'next=%2F', headers: {}, requestContext: { http: { method: 'POST', sourceIp: '10.0.1.5' } } };
+    assert((await routed(v2)).rule === 'post-login' && !(await routed(v2)).allowed, 'serverless: API Gateway v2 events should match rules on the request context method and rawPath');
+    assert((await routed({ ...v2, requestContext: { http: { method: 'GET', sourceIp: '10.0.1.5' } } })).rule === null, 'serverless: other methods should not match the rule');
+
+    const fetchRequest = () => new Request('https://api.example.com/login?next=/', { method: 'POST', headers: { 'X-User-Id': 'edge-user' } });
+    const edge = await routed(fetchRequest(), { ip: '10.0.1.6' });
+    assert(edge.rule === 'post-login' && edge.identity.source === 'userId', 'edge: Fetch Requests should match rules on their pathname and keep their headers');
+    const anonymousFetch = (ip) => routed(new Request('https://api.example.com/login', { method: 'POST' }), { ip });
+    assert((await anonymousFetch('10.0.1.7')).allowed && (await anonymousFetch('10.0.1.8')).allowed, 'edge: the { ip } argument should give each Fetch client its own IP budget');
+});
+
+// Test: Prometheus metrics
+asyncTests.push(async () => {
+    console.log('\n=== Testing Prometheus Metrics ===\n');
+
+    const registry = new MetricsRegistry();
+    const limiter = createLimiter({ tiers: { free: 100, guest: 1 }, metrics: registry });
+    await limiter.consume({ headers: {}, ip: '10.0.2.1' });
+    await limiter.consume({ headers: {}, ip: '10.0.2.1' });
+
+    const text = await registry.render();
+    assert(text.includes('ratewarden_requests_allowed_total{tier="guest",source="ip"} 1'), 'Should count allowed requests by tier and source');
+    assert(text.includes('ratewarden_requests_blocked_total{tier="guest",source="ip"} 1'), 'Should count blocked requests by tier and source');
+    assert(text.includes('ratewarden_store_duration_seconds_count 2'), 'Should observe store latency');
+    assert(text.includes('ratewarden_tracked_identities 1'), 'Should report tracked identities from store stats');
+    assert(text.includes('# TYPE ratewarden_store_duration_seconds histogram'), 'Should render TYPE lines');
+
+    const res = {
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        end(body) { this.body = body; this.done(); }
+    };
+    await new Promise((resolve) => {
+        res.done = resolve;
+        metricsHandler(registry)({}, res);
+    });
+    assert(res.statusCode === 200 && res.headers['Content-Type'].startsWith('text/plain; version=0.0.4'), 'metricsHandler should serve the text format');
+
+    await limiter.close();
+    assert((await registry.render()).includes('ratewarden_tracked_identities 0'), 'Closed limiters should stop reporting identities');
+});
+
+// Test: Per-identity store access and admin router
+asyncTests.push(async () => {
+    console.log('\n=== Testing Identity Lookup and Admin Router ===\n');
+
+    const store = createMemoryStore({ windowMs: 60000 });
+    await store.checkLimit('alice', 10, 'free');
+    await store.checkLimit('alice', 10, 'free');
+    await store.checkLimit('bob', 10, 'free');
+    await store.checkLimit('carol', 10, 'pro');
+
+    const alice = await store.get('alice', 'free');
+    assert(alice && alice.current === 2, 'get() should return current usage');
+    assert(await store.get('alice', 'pro') === null, 'get() should return null for untracked identities');
+
+    const page1 = await store.list({ tier: 'free', count: 1 });
+    const page2 = await store.list({ tier: 'free', cursor: page1.cursor, count: 1 });
+    assert(page1.items.length === 1 && page2.items.length === 1 && page1.cursor !== null, 'list() should paginate with a cursor');
+    assert((await store.list({ tier: 'pro' })).items[0].identityKey === 'carol', 'list() should filter by tier');
+
+    assert(await store.resetKey('alice', 'free') === true, 'resetKey() should clear one identity');
+    assert(await store.get('alice', 'free') === null && await store.get('bob', 'free') !== null, 'resetKey() should leave other identities');
+
+    // Admin router over a real Express app
+    const express = require('express');
+    const limiter = ratewarden({ tiers: { free: 5, guest: 5 } });
+    const app = express();
+    app.use('/admin', ratewarden.adminRouter(limiter));
+
+    for (let i = 0; i < 3; i++) {
+        await limiter.limiter.consume(mockRequest({ 'x-user-id': 'customer-42' }));
+    }
+    await limiter.limiter.consume(mockRequest({ 'x-user-id': 'customer-7' }));
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}/admin`;
+    try {
+        const usage = await (await fetch(`${base}/identities/free/customer-42?hash=1`)).json();
+        assert(usage.current === 3 && usage.identityKey === hashValue('customer-42'), 'Admin: should look up usage by raw value');
+
+        const top = await (await fetch(`${base}/top?tier=free&limit=1`)).json();
+        assert(top.items.length === 1 && top.items[0].current === 3, 'Admin: should list top consumers');
+
+        const reset = await (await fetch(`${base}/identities/free/customer-42?hash=1`, { method: 'DELETE' })).json();
+        assert(reset.reset === true, 'Admin: should reset one identity');
+
+        const missing = await fetch(`${base}/identities/free/customer-42?hash=1`);
+        assert(missing.status === 404, 'Admin: should 404 for untracked identities');
+    } finally {
+        server.close();
+        await limiter.limiter.close();
+    }
+});
+
+// Test: Per-route and per-method rules
+asyncTests.push(async () => {
+    console.log('\n=== Testing Route Rules ===\n');
+
+    assert(compilePath('/users/:id').test('/users/42') && !compilePath('/users/:id').test('/users/42/posts'), 'Path params should match one segment');
+    assert(compilePath('/files/*.csv').test('/files/report.csv') && !compilePath('/files/*.csv').test('/files/a/b.csv'), '* should stay within a segment');
+    assert(compilePath('/api/**').test('/api/v1/items') && compilePath('/login').test('/login/'), '** should cross segments; trailing slash optional');
+
+    const limiter = createLimiter({
+        tiers: { guest: 3, free: 10 },
+        rules: {
+            'POST /login': { tiers: { guest: 1 } },
+            'GET /search': { tiers: { guest: 2 }, windowMs: 1000 }
+        }
+    });
+    const request = (method, url) => ({ method, url, headers: {}, ip: '10.0.3.1' });
+
+    const login1 = await limiter.consume(request('POST', '/login?next=/'));
+    const login2 = await limiter.consume(request('POST', '/login'));
+    assert(login1.allowed && login1.rule === 'post-login' && !login2.allowed, 'POST /login should use its own limit');
+
+    const getLogin = await limiter.consume(request('GET', '/login'));
+    assert(getLogin.allowed && getLogin.rule === null && getLogin.limit === 3, 'Other methods should fall back to default limits');
+
+    const search = await limiter.consume(request('GET', '/search'));
+    assert(search.allowed && search.limit === 2 && search.remaining === 1, 'Rules should be counted separately from each other');
+    assert(await limiter.store.get(hashValue('10.0.3.1'), 'guest@get-search') !== null, 'Rule keys should be namespaced by rule in the shared store');
+
+    let threw = false;
+    try {
+        createLimiter({ rules: [{ method: 'FETCH', path: '/x' }] });
+    } catch (error) {
+        threw = /unknown HTTP method/.test(error.message);
+    }
+    assert(threw, 'Invalid rules should throw at construction');
+
+    await limiter.close();
+});
+
+// Test: Multiple windows per tier
+asyncTests.push(async () => {
+    console.log('\n=== Testing Multiple Windows per Tier ===\n');
+
+    const windows = [{ limit: 2, windowMs: 1000 }, { limit: 3, windowMs: 60000 }];
+
+    for (const algorithm of ['sliding-window', 'token-bucket', 'gcra']) {
+        const store = createMemoryStore({ algorithm });
+        const first = await store.checkLimits('multi-key', windows, 'pro');
+        assert(first.allowed && first.limit === 2 && first.remaining === 1, `${algorithm}: should report the most restrictive window`);
+        await store.checkLimits('multi-key', windows, 'pro');
+        const third = await store.checkLimits('multi-key', windows, 'pro');
+        assert(!third.allowed && third.windowMs === 1000, `${algorithm}: should block when the burst window is full`);
+        assert((await store.get('multi-key', 'pro#60000')).current === 2, `${algorithm}: blocked requests should not consume other windows`);
+    }
+
+    const limiter = createLimiter({
+        tiers: { free: 100, guest: [{ limit: 1, windowMs: 1000 }, { limit: 5, windowMs: 60000 }] }
+    });
+    const ok = await limiter.consume({ headers: {}, ip: '10.0.4.1' });
+    const blocked = await limiter.consume({ headers: {}, ip: '10.0.4.1' });
+    assert(ok.allowed && ok.headers['RateLimit-Limit'] === '1' && ok.windows.length === 2, 'Headers should report the most restrictive window');
+    assert(!blocked.allowed && blocked.body.limit === 1 && blocked.retryAfter === 1, '429 body should report the exhausted window');
+
+    await limiter.consume({ headers: {}, ip: '10.0.4.2' });
+    const listed = await limiter.store.list({ tier: 'guest' });
+    assert(listed.items.length === 2 && listed.items.every(item => item.tier === 'guest' && item.windows.length === 2), 'list() should find multi-window tiers, one item per identity');
+    const firstPage = await limiter.store.list({ tier: 'guest', count: 1 });
+    assert(firstPage.items.length === 1 && firstPage.cursor !== null, 'list() should paginate by identity');
+
+    // get() and resetKey() cover every window key of the tier
+    const identityKey = ok.identity.key;
+    const usage = await limiter.store.get(identityKey, 'guest');
+    assert(usage && usage.current === 1 && usage.windows.map(window => window.windowMs).join() === '1000,60000', 'get() should report every window of a multi-window tier');
+    assert(await limiter.store.resetKey(identityKey, 'guest') === true && await limiter.store.get(identityKey, 'guest') === null, 'resetKey() should clear every window of a multi-window tier');
+    assert((await limiter.consume({ headers: {}, ip: '10.0.4.1' })).allowed, 'A reset multi-window identity should be allowed again');
+    await limiter.close();
+
+    const keys = new Set([
+        'ratewarden:pro#1000:multi-key',
+        'ratewarden:pro#60000:multi-key',
+        'ratewarden:pro#1000:other-key',
+        'ratewarden:professional:x'
+    ]);
+    const redis = createRedisStore({
+        isReady: true,
+        async evalSha(sha, options) { return keys.has(options.keys[0]) ? [1, 2] : [0, 0]; },
+        // One key per SCAN page, so an identity's windows land on different pages
+        async scan(cursor, { MATCH }) {
+            const matching = [...keys].filter(key => globToRegExp(MATCH).test(key));
+            const index = Number(cursor);
+            return { cursor: index + 1 < matching.length ? index + 1 : 0, keys: matching.slice(index, index + 1) };
+        },
+        async del(names) {
+            return [].concat(names).filter(name => keys.delete(name)).length;
+        },
+        async hGet() { return null; }
+    }, { windowMs: 60000 });
+    const redisUsage = await redis.get('multi-key', 'pro');
+    assert(redisUsage && redisUsage.windows.length === 2, 'Redis get() should find the window keys with SCAN');
+
+    const scanned = [];
+    let page = { cursor: null };
+    do {
+        page = await redis.list({ tier: 'pro', cursor: page.cursor });
+        scanned.push(...page.items);
+    } while (page.cursor);
+    assert(scanned.length === 3 && scanned.every(item => item.tier === 'pro'), 'Redis list() should match {tier}#{windowMs} keys and not longer tier names');
+
+    const express = require('express');
+    const app = express();
+    app.use('/admin', ratewarden.adminRouter(redis));
+    const server = app.listen(0);
+    try {
+        const top = await (await fetch(`http://127.0.0.1:${server.address().port}/admin/top?tier=pro`)).json();
+        const multi = top.items.find(item => item.identityKey === 'multi-key');
+        assert(top.items.length === 2 && multi.windows.map(window => window.windowMs).join() === '1000,60000', 'Admin /top should merge windows listed on different pages');
+    } finally {
+        server.close();
+    }
+    assert(await redis.resetKey('multi-key', 'pro') === true && [...keys].join() === 'ratewarden:pro#1000:other-key,ratewarden:professional:x', 'Redis resetKey() should delete every window key of the identity only');
+});
+
+// Test: Redis custom windows shared between instances
+asyncTests.push(async () => {
+    console.log('\n=== Testing Redis Custom Windows Across Instances ===\n');
+
+    const hashes = new Map();
+    const peeks = [];
+    const patterns = [];
+    const client = {
+        isReady: true,
+        async evalSha(sha, options) {
+            if (options.arguments.length === 2) {
+                peeks.push({ key: options.keys[0], windowMs: Number(options.arguments[1]) });
+                return [1, 1];
+            }
+            return [1, 1, 4, Date.now() + 1000, 0];
+        },
+        async scriptLoad() { return 'sha'; },
+        async hSet(key, field, value) {
+            if (!hashes.has(key)) hashes.set(key, new Map());
+            hashes.get(key).set(field, value);
+        },
+        async hGet(key, field) { return hashes.has(key) ? hashes.get(key).get(field) || null : null; },
+        async scan() { return { cursor: 0, keys: [] }; },
+        async keys(pattern) { patterns.push(pattern); return []; }
+    };
+
+    const server = createRedisStore(client, { windowMs: 60000 });
+    await server.checkLimit('rule-key', 5, 'guest@login', { windowMs: 1000 });
+    await server.checkLimit('rule-key', 5, 'guest@login', { windowMs: 1000 });
+    assert(hashes.get('ratewarden-windows').get('guest@login') === '1000', 'A custom window should be stored in Redis, outside the key prefix');
+
+    const admin = createRedisStore(client, { windowMs: 60000 });
+    const usage = await admin.get('rule-key', 'guest@login');
+    assert(usage.current === 1 && peeks[0].windowMs === 1000, 'Another instance should peek a rule key over its own window');
+    await admin.get('other-key', 'guest');
+    assert(peeks[1].windowMs === 60000, 'Namespaces without a custom window should use the default');
+
+    const odd = createRedisStore(client, { windowMs: 60000, prefix: 'rw[1]*:' });
+    await odd.getStats();
+    assert(patterns[0] === 'rw\\[1\\]\\*:*', 'KEYS patterns should escape glob characters in the prefix');
+});
+
+// Test: Weighted request cost
+asyncTests.push(async () => {
+    console.log('\n=== Testing Weighted Request Cost ===\n');
+
+    for (const algorithm of ['sliding-window', 'sliding-window-counter', 'fixed-window', 'token-bucket', 'gcra']) {
+        const store = createMemoryStore({ algorithm });
+        const first = await store.checkLimit('cost-key', 10, 'free', { cost: 4 });
+        assert(first.allowed && first.remaining === 6, `${algorithm}: cost should consume several units`);
+        const tooBig = await store.checkLimit('cost-key', 10, 'free', { cost: 7 });
+        assert(!tooBig.allowed && tooBig.remaining === 6 && tooBig.retryAfter > 0, `${algorithm}: should reject a cost above what is left`);
+        const fits = await store.checkLimit('cost-key', 10, 'free', { cost: 6 });
+        assert(fits.allowed && fits.remaining === 0, `${algorithm}: rejected requests should not consume the budget`);
+    }
+
+    for (const algorithm of ['sliding-window-counter', 'fixed-window']) {
+        const halves = createLimiter({ tiers: { free: 100, guest: 10 }, algorithm, cost: 0.5, metrics: false });
+        const half = await halves.consume({ headers: {}, ip: '10.0.5.9' });
+        assert(half.headers['RateLimit-Remaining'] === '9' && half.current === 1, `${algorithm}: a fractional cost should report whole units in headers`);
+        assert((await halves.store.get(half.identity.key, 'guest')).current === 1, `${algorithm}: get() should report whole units too`);
+        await halves.close();
+    }
+
+    const limiter = createLimiter({
+        tiers: { free: 100, guest: 10 },
+        cost: (req) => Number(req.headers['x-items']) || 1,
+        rules: { 'POST /export': { cost: 8 } }
+    });
+    const request = (method, url, headers = {}) => ({ method, url, headers, ip: '10.0.5.1' });
+
+    const batch = await limiter.consume(request('GET', '/items', { 'x-items': '3' }));
+    assert(batch.allowed && batch.cost === 3 && batch.headers['RateLimit-Remaining'] === '7', 'RateLimit-Remaining should reflect the weighted budget');
+
+    const exportOk = await limiter.consume(request('POST', '/export'));
+    const exportBlocked = await limiter.consume(request('POST', '/export'));
+    assert(exportOk.allowed && exportOk.cost === 8 && !exportBlocked.allowed, 'Rule cost should override the limiter-wide cost');
+
+    const originalError = console.error;
+    console.error = () => {};
+    const invalid = await limiter.consume(request('GET', '/items', { 'x-items': '-2' }));
+    console.error = originalError;
+    assert(invalid.allowed && /cost must be a non-negative number/.test(invalid.error.message), 'Invalid cost should fail open with an error');
+
+    await limiter.close();
+});
+
+// Test: GraphQL query complexity
+asyncTests.push(async () => {
+    console.log('\n=== Testing GraphQL Query Complexity ===\n');
+
+    assert(queryComplexity('{ users { posts { title } } }') === 6, 'Fields should be weighted by depth');
+    assert(queryComplexity('{ search(q: "a") { id } }', { fieldCosts: { search: 10, 'search.id': 0 } }) === 10, 'Per-field costs should apply');
+    assert(
+        queryComplexity('query Q($id: ID!) { user(id: $id) { ...F __typename } } fragment F on User { name }') === 3,
+        'Fragments should be expanded and __typename should be free'
+    );
+    assert(queryComplexity('{ a } query B { b { c } }', { operationName: 'B' }) === 3, 'operationName should select the operation');
+
+    let threw = false;
+    try {
+        queryComplexity('{ user { ');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Invalid documents should throw');
+
+    const middleware = ratewarden.graphql({ tiers: { free: 100, guest: 10 }, metrics: false });
+    const request = (query) => ({ ...mockRequest(), ip: '10.0.6.1', method: 'POST', url: '/graphql', body: { query } });
+    const run = req => new Promise((resolve) => {
+        const res = mockResponse();
+        res.json = function (data) {
+            this.body = data;
+            resolve(res);
+            return this;
+        };
+        middleware(req, res, () => resolve(res));
+    });
+
+    const small = await run(request('{ me { name } }'));
+    assert(small.statusCode === 200 && small.headers['RateLimit-Remaining'] === '7', 'GraphQL requests should be charged their complexity');
+
+    const big = await run(request('{ me { friends { friends { name } } } }'));
+    assert(big.statusCode === 429 && big.body.errors[0].extensions.code === 'RATE_LIMITED', '429 should be a GraphQL errors response');
+    assert(big.body.errors[0].extensions.cost === 10, 'GraphQL error should report the query cost');
+
+    // Batches cost the sum of their operations
+    const batch = { ...mockRequest(), ip: '10.0.6.2', method: 'POST', url: '/graphql', body: [{ query: '{ me { name } }' }, { query: '{ me { name } }' }] };
+    const batched = await run(batch);
+    assert(batched.statusCode === 200 && batched.headers['RateLimit-Remaining'] === '4', 'Batched requests should be charged every operation');
+    const rejected = await run(batch);
+    assert(rejected.statusCode === 429 && rejected.body.errors[0].extensions.cost === 6, 'A batch over the remaining budget should be rejected');
+
+    await middleware.limiter.close();
+});
+
+// Test: Failure modes and Redis circuit breaker
+asyncTests.push(async () => {
+    console.log('\n=== Testing Failure Modes and Circuit Breaker ===\n');
+
+    let up = false;
+    const downClient = {
+        isReady: true,
+        async evalSha() {
+            if (!up) throw new Error('ECONNREFUSED');
+            return [1, 1, 0, Date.now() + 60000, 0];
+        },
+        async scriptLoad() {
+            return 'sha';
+        },
+        async ping() {
+            if (!up) throw new Error('ECONNREFUSED');
+            return 'PONG';
+        }
+    };
+    const request = (method, url) => ({ method, url, headers: {}, ip: '10.0.7.1' });
+
+    const originalError = console.error;
+    const originalWarn = console.warn;
+    console.error = () => {};
+    console.warn = () => {};
+
+    const open = createLimiter({ redisClient: downClient, metrics: false });
+    const openDecision = await open.consume(request('GET', '/'));
+    assert(openDecision.allowed && openDecision.error, "failureMode 'open' should allow requests when Redis fails");
+
+    const closed = createLimiter({
+        redisClient: downClient,
+        metrics: false,
+        rules: { 'POST /login': { failureMode: 'closed' } }
+    });
+    const login = await closed.consume(request('POST', '/login'));
+    const other = await closed.consume(request('GET', '/'));
+    assert(!login.allowed && login.statusCode === 503 && login.body.error === 'Service unavailable', "Rule failureMode 'closed' should reject with 503");
+    assert(other.allowed, 'Routes without a closed rule should stay open');
+
+    const fallback = createLimiter({
+        redisClient: downClient,
+        metrics: false,
+        failureMode: 'fallback',
+        tiers: { free: 100, guest: 1 }
+    });
+    const fallback1 = await fallback.consume(request('GET', '/'));
+    const fallback2 = await fallback.consume(request('GET', '/'));
+    assert(fallback1.allowed && fallback1.fallback && !fallback2.allowed, "failureMode 'fallback' should keep limiting in memory");
+
+    const events = [];
+    const breaking = createLimiter({
+        redisClient: downClient,
+        metrics: false,
+        failureMode: 'closed',
+        failureStatusCode: 429,
+        circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 20 }
+    });
+    breaking.breaker.on('stateChange', ({ from, to }) => events.push(`${from}>${to}`));
+
+    await breaking.consume(request('GET', '/'));
+    await breaking.consume(request('GET', '/'));
+    const fastFail = await breaking.consume(request('GET', '/'));
+    assert(breaking.breaker.state === 'open' && fastFail.error.circuitOpen, 'Breaker should open after repeated errors and fail fast');
+    assert(fastFail.statusCode === 429 && fastFail.headers['Retry-After'] === '1', 'failureStatusCode should be used while the breaker is open');
+
+    up = true;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const recovered = await breaking.consume(request('GET', '/'));
+    assert(recovered.allowed && !recovered.error && breaking.breaker.state === 'closed', 'Breaker should probe isReady() and close once Redis is back');
+    assert(events.join(',') === 'closed>open,open>half-open,half-open>closed', 'Breaker should emit state-change events');
+
+    let threw = false;
+    try {
+        createLimiter({ failureMode: 'ignore' });
+    } catch (error) {
+        threw = /failureMode must be one of/.test(error.message);
+    }
+    assert(threw, 'Unknown failureMode should throw');
+
+    console.error = originalError;
+    console.warn = originalWarn;
+    await Promise.all([open.close(), closed.close(), fallback.close(), breaking.close()]);
+});
+
+// Test: Limiter events
+asyncTests.push(async () => {
+    console.log('\n=== Testing Limiter Events ===\n');
+
+    const middleware = ratewarden({ tiers: { free: 100, guest: 5 }, metrics: false });
+    const events = [];
+    const returned = middleware
+        .on('allowed', info => events.push(['allowed', info]))
+        .on('blocked', info => events.push(['blocked', info]))
+        .on('nearLimit', info => events.push(['nearLimit', info]));
+    assert(returned === middleware, 'on() should be chainable on the middleware');
+
+    for (let i = 0; i < 6; i++) {
+        await middleware.limiter.consume({ headers: {}, ip: '10.0.8.1' });
+    }
+
+    const names = events.map(([name]) => name);
+    assert(names.filter(name => name === 'allowed').length === 5 && names[names.length - 1] === 'blocked', 'Should emit allowed and blocked events');
+    assert(names.filter(name => name === 'nearLimit').length === 1 && names.indexOf('nearLimit') === 4, 'nearLimit should fire once, when 80% is crossed');
+    const [, blocked] = events[events.length - 1];
+    assert(blocked.source === 'ip' && blocked.tier === 'guest' && blocked.current === 5 && typeof blocked.durationMs === 'number', 'Event payload should carry source, tier, counts and timing');
+
+    middleware.on('allowed', () => {
+        throw new Error('listener bug');
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    const decision = await middleware.limiter.consume({ headers: {}, ip: '10.0.8.2' });
+    console.error = originalError;
+    assert(decision.allowed && !decision.error, 'A throwing listener should not affect the decision');
+
+    const cleanups = [];
+    middleware.on('cleanup', info => cleanups.push(info));
+    middleware.limiter.cleanup.run();
+    assert(cleanups.length === 1 && cleanups[0].store === 'memory' && typeof cleanups[0].removed === 'number', 'Cleanup sweeps should emit cleanup events');
+
+    const failing = createLimiter({
+        metrics: false,
+        redisClient: { isReady: true, async evalSha() { throw new Error('down'); }, async scriptLoad() { return 'sha'; } }
+    });
+    const errors = [];
+    failing.on('storeError', info => errors.push(info));
+    console.error = () => {};
+    await failing.consume({ headers: {}, ip: '10.0.8.3' });
+    console.error = originalError;
+    assert(errors.length === 1 && errors[0].failureMode === 'open' && /down/.test(errors[0].error.message), 'Store errors should emit storeError');
+
+    await Promise.all([middleware.limiter.close(), failing.close()]);
+});
+
+// Test: Trusted proxies and client IP extraction
+asyncTests.push(async () => {
+    console.log('\n=== Testing Trusted Proxies ===\n');
+
+    const request = (headers, remoteAddress) => ({ headers, socket: { remoteAddress } });
+    const spoofed = request({ 'x-forwarded-for': '6.6.6.6, 203.0.113.7' }, '10.0.0.1');
+
+    assert(getClientIP(spoofed, null) === '10.0.0.1', 'Forwarded headers should be ignored without trustProxy');
+    assert(getClientIP(spoofed, compileTrust(1)) === '203.0.113.7', 'Hop count should take the address added by the trusted proxy');
+    assert(getClientIP(spoofed, compileTrust(true)) === '6.6.6.6', 'trustProxy true should take the left-most address');
+    assert(
+        getClientIP(request({ 'x-forwarded-for': '6.6.6.6, 203.0.113.7, 10.0.0.5' }, '::ffff:10.0.0.1'), compileTrust('private')) === '203.0.113.7',
+        'CIDR presets should skip every trusted hop from the right (IPv4-mapped peers included)'
+    );
+    assert(getClientIP(spoofed, compileTrust('loopback')) === '10.0.0.1', 'Untrusted peers should not be able to set the client IP');
+    assert(
+        getClientIP(request({ forwarded: 'for=6.6.6.6, for="[2001:db8::1]:4711";proto=https, for="10.0.0.2:80"' }, '127.0.0.1'), compileTrust(['loopback', '10.0.0.0/8']), 'forwarded') === '2001:db8::1',
+        'RFC 7239 Forwarded should be parsed (quoted, bracketed, with ports)'
+    );
+
+    let threw = false;
+    try {
+        compileTrust('10.0.0.0/33');
+    } catch (error) {
+        threw = /Invalid prefix length/.test(error.message);
+    }
+    assert(threw, 'Invalid CIDRs should throw');
+
+    const limiter = createLimiter({ tiers: { free: 100, guest: 1 }, trustProxy: 'loopback', metrics: false });
+    const first = await limiter.consume(request({ 'x-forwarded-for': '198.51.100.1' }, '127.0.0.1'));
+    const second = await limiter.consume(request({ 'x-forwarded-for': '198.51.100.1' }, '127.0.0.1'));
+    const other = await limiter.consume(request({ 'x-forwarded-for': '198.51.100.2' }, '127.0.0.1'));
+    assert(first.allowed && !second.allowed && other.allowed, 'Clients behind a trusted proxy should be limited separately');
+
+    // The proxy appends X-Forwarded-For and passes a client-sent Forwarded header through
+    const rotating = await limiter.consume(request({ forwarded: 'for=203.0.113.99', 'x-forwarded-for': '198.51.100.1' }, '127.0.0.1'));
+    assert(!rotating.allowed, 'A spoofed Forwarded header should not give a fresh identity');
+    assert(getClientIP(request({ 'x-real-ip': '6.6.6.6', 'x-forwarded-for': '198.51.100.3' }, '127.0.0.1'), compileTrust(1)) === '198.51.100.3', 'Only the configured proxy header should be read');
+    assert(getClientIP(request({ 'x-real-ip': '198.51.100.4' }, '127.0.0.1'), compileTrust(1), 'x-real-ip') === '198.51.100.4', "proxyHeader 'x-real-ip' should read X-Real-IP");
+    await limiter.close();
+
+    threw = false;
+    try {
+        createLimiter({ proxyHeader: 'x-client-ip', metrics: false });
+    } catch (error) {
+        threw = /Unknown proxyHeader 'x-client-ip'/.test(error.message);
+    }
+    assert(threw, 'Unknown proxy headers should throw');
+});
+
+// Test: IP identity normalization
+asyncTests.push(async () => {
+    console.log('\n=== Testing IP Identity Normalization ===\n');
+
+    assert(normalizeIP('::ffff:192.0.2.1') === '192.0.2.1', 'IPv4-mapped IPv6 should be unwrapped');
+    assert(normalizeIP('2001:0DB8:0000:0001:abcd:0:0:1') === '2001:db8:0:1::/64', 'IPv6 should be canonical and keyed by its /64');
+    assert(normalizeIP('2001:db8::1:0:0:1', { ipv6Subnet: 128 }) === '2001:db8::1:0:0:1', 'ipv6Subnet 128 should key single addresses');
+    assert(normalizeIP('unknown') === 'unknown', 'Invalid addresses should be kept as-is');
+
+    const ipRequest = ip => ({ headers: {}, ip });
+    const limiter = createLimiter({ tiers: { free: 100, guest: 1 }, metrics: false });
+    const v6 = await limiter.consume(ipRequest('2001:db8:0:1::aaaa'));
+    const v6Rotated = await limiter.consume(ipRequest('2001:db8:0:1:ffff::1'));
+    const v6Other = await limiter.consume(ipRequest('2001:db8:0:2::1'));
+    assert(v6.allowed && !v6Rotated.allowed && v6Other.allowed, 'Addresses in the same /64 should share one budget');
+
+    await limiter.consume(ipRequest('192.0.2.1'));
+    const mapped = await limiter.consume(ipRequest('::ffff:192.0.2.1'));
+    assert(!mapped.allowed, 'Mapped and plain IPv4 should be the same identity');
+    await limiter.close();
+
+    const subnetLimiter = createLimiter({ tiers: { free: 100, guest: 2 }, ipv4Subnet: { prefix: 24, multiplier: 2 }, metrics: false });
+    const results = [];
+    for (const host of [1, 1, 2, 2, 3]) {
+        results.push(await subnetLimiter.consume(ipRequest(`198.51.100.${host}`)));
+    }
+    assert(results.slice(0, 4).every(result => result.allowed), 'Each address should keep its own limit');
+    assert(!results[4].allowed && results[4].subnet && results[4].limit === 4, 'The /24 should be capped by the looser subnet limit');
+    await subnetLimiter.close();
+
+    const sharedLimiter = createLimiter({ tiers: { free: 100, guest: 2 }, ipv4Subnet: { prefix: 24, multiplier: 2 }, metrics: false });
+    for (let i = 0; i < 10; i++) {
+        await sharedLimiter.consume(ipRequest('198.51.100.20'));
+    }
+    const neighbours = [await sharedLimiter.consume(ipRequest('198.51.100.21')), await sharedLimiter.consume(ipRequest('198.51.100.21'))];
+    assert(neighbours.every(result => result.allowed && !result.subnet), "Requests rejected by an address's own limit should not use up its subnet's budget");
+    assert(neighbours[1].headers['RateLimit-Limit'] === '2', 'Allowed requests should report the most restrictive of the own and subnet windows');
+    await sharedLimiter.close();
+});
+
+// Test: JWT identity and tier resolution
+asyncTests.push(async () => {
+    console.log('\n=== Testing JWT Identity and Tiers ===\n');
+
+    const crypto = require('crypto');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signHS256 = (payload, secret) => {
+        const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+        return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+    };
+    const bearer = token => ({ headers: { authorization: `Bearer ${token}` }, ip: '10.0.9.1' });
+    const inOneHour = Math.floor(Date.now() / 1000) + 3600;
+
+    const limiter = createLimiter({
+        tiers: { guest: 1, free: 2, pro: 3 },
+        jwt: { secret: 'shh', tierClaim: 'plan' },
+        metrics: false
+    });
+
+    const first = await limiter.consume(bearer(signHS256({ sub: 'user-1', plan: 'pro', exp: inOneHour, iat: 1 }, 'shh')));
+    const refreshed = await limiter.consume(bearer(signHS256({ sub: 'user-1', plan: 'pro', exp: inOneHour, iat: 2 }, 'shh')));
+    assert(first.identity.source === 'jwt' && first.tier === 'pro' && first.limit === 3, 'Tier should come from the plan claim');
+    assert(refreshed.identity.key === first.identity.key && refreshed.remaining === 1, 'Refreshed tokens should share one bucket');
+
+    const forged = await limiter.consume(bearer(signHS256({ sub: 'user-1', plan: 'pro', exp: inOneHour }, 'wrong')));
+    assert(forged.identity.source === 'ip' && forged.tier === 'guest', 'Tokens with a bad signature should fall back to guest');
+
+    const expired = await limiter.consume(bearer(signHS256({ sub: 'user-2', exp: 1000 }, 'shh')));
+    assert(expired.identity.source === 'ip' && expired.tier === 'guest', 'Expired tokens should fall back to guest');
+
+    const unknownPlan = await limiter.consume(bearer(signHS256({ sub: 'user-3', plan: 'platinum' }, 'shh')));
+    assert(unknownPlan.tier === 'free', 'Unknown tier claims should get the default authenticated tier');
+    await limiter.close();
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwksFile = path.join(os.tmpdir(), `ratewarden-jwks-${process.pid}.json`);
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig' }] }));
+
+    const rsLimiter = createLimiter({
+        tiers: { guest: 1, free: 2, pro: 3 },
+        jwt: { jwks: jwksFile, identityClaim: ['client_id', 'sub'], tierClaim: 'scope', tierMap: { 'api:premium': 'pro' } },
+        metrics: false
+    });
+    fs.unlinkSync(jwksFile);
+
+    const header = encode({ alg: 'RS256', kid: 'k1' });
+    const payload = encode({ client_id: 'svc-1', scope: 'read api:premium' });
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    const rs = await rsLimiter.consume(bearer(`${header}.${payload}.${signature}`));
+    assert(rs.identity.source === 'jwt' && rs.identity.key === hashValue('svc-1') && rs.tier === 'pro', 'RS256 tokens should verify against a JWKS file and map scopes to tiers');
+
+    const hsWithRsKey = await rsLimiter.consume(bearer(signHS256({ client_id: 'svc-1', scope: 'api:premium' }, 'anything')));
+    assert(hsWithRsKey.tier === 'guest', 'Algorithms without a configured key should be rejected');
+    await rsLimiter.close();
+
+    let unverifiedTier = null;
+    try {
+        createLimiter({ tiers: { guest: 1, free: 2, pro: 3 }, jwt: { tierClaim: 'plan' }, metrics: false });
+    } catch (error) {
+        unverifiedTier = error.message;
+    }
+    assert(/tierClaim and jwt.tierMap need a key/.test(unverifiedTier), 'Reading tiers from tokens without a key should throw');
+
+    const decodeOnly = createLimiter({ tiers: { guest: 1, free: 2, pro: 3 }, jwt: true, metrics: false });
+    const unsigned = await decodeOnly.consume(bearer(`${encode({ alg: 'none' })}.${encode({ sub: 'user-4', plan: 'pro' })}.`));
+    assert(unsigned.identity.source === 'jwt' && unsigned.tier === 'free', 'Decode-only tokens should key the identity but not pick the tier');
+    await decodeOnly.close();
+});
+
+// Test: Identity extractor chain
+asyncTests.push(async () => {
+    console.log('\n=== Testing Identity Extractor Chain ===\n');
+
+    const limiter = createLimiter({
+        tiers: { guest: 1, free: 2, partner: 5 },
+        identity: [
+            { type: 'apiKey', source: 'partnerKey', tier: 'partner' },
+            'user:account.id',
+            { type: 'cookie', name: 'sid', source: 'session' },
+            'query:client',
+            { source: 'tenant', tier: 'guest', extract: req => req.headers['x-tenant'] },
+            'ip'
+        ],
+        metrics: false
+    });
+    const base = { headers: {}, ip: '10.0.10.1' };
+
+    const partner = await limiter.consume({ ...base, headers: { 'x-api-key': 'k-1', cookie: 'sid=abc' } });
+    assert(partner.identity.source === 'partnerKey' && partner.tier === 'partner' && partner.identity.key === hashValue('k-1'), 'Earlier steps should win, with their source and tier');
+
+    const user = await limiter.consume({ ...base, user: { account: { id: 42 } } });
+    assert(user.identity.source === 'user' && user.identity.key === hashValue('42') && user.tier === 'free', 'user path should read req.user');
+
+    const session = await limiter.consume({ ...base, headers: { cookie: 'theme=dark; sid=s%3A123' } });
+    assert(session.identity.source === 'session' && session.identity.key === hashValue('s:123'), 'Cookies should be parsed from the Cookie header');
+
+    const query = await limiter.consume({ ...base, url: '/items?client=mobile' });
+    assert(query.identity.source === 'query' && query.identity.key === hashValue('mobile'), 'Query params should be read from the URL');
+
+    const tenant = await limiter.consume({ ...base, headers: { 'x-tenant': 'acme' } });
+    assert(tenant.identity.source === 'tenant' && tenant.tier === 'guest', 'Custom extractors should carry their own source and tier');
+
+    const anonymous = await limiter.consume({ ...base, headers: { authorization: 'Bearer not-in-chain' } });
+    assert(anonymous.identity.source === 'ip' && anonymous.tier === 'guest', 'Extractors missing from the chain should be skipped');
+    await limiter.close();
+
+    let threw = false;
+    try {
+        createLimiter({ identity: ['cookie'], metrics: false });
+    } catch (error) {
+        threw = /needs a name/.test(error.message);
+    }
+    assert(threw, 'Incomplete extractors should throw at construction');
+});
+
+// Test: Composite limit dimensions
+asyncTests.push(async () => {
+    console.log('\n=== Testing Composite Limit Dimensions ===\n');
+
+    const limiter = createLimiter({
+        tiers: { guest: 10, free: 10 },
+        dimensions: [
+            { name: 'ip', key: 'ip', limit: 3 },
+            { name: 'route', key: 'identity+route', tiers: { free: 2 } },
+            { name: 'global', key: 'global', limit: 100 }
+        ],
+        metrics: false
+    });
+    const fromIP = (headers, url = '/a') => ({ headers, ip: '10.0.20.1', method: 'GET', url });
+
+    const first = await limiter.consume(fromIP({ 'x-user-id': 'u1' }));
+    assert(first.allowed && first.dimension === 'route' && first.remaining === 1, 'The closest dimension should be reported when allowed');
+    assert(first.windows.length === 4 && first.windows.every(window => window.dimension), 'Every dimension window should be listed');
+
+    await limiter.consume(fromIP({ 'x-user-id': 'u1' }));
+    const route = await limiter.consume(fromIP({ 'x-user-id': 'u1' }));
+    assert(!route.allowed && route.dimension === 'route' && route.limit === 2, 'The per-(identity, route) limit should block');
+    assert(route.body.dimension === 'route' && /dimension 'route'/.test(route.body.message), '429 body should name the exhausted dimension');
+
+    // Blocked requests record nothing, so the IP dimension still has one slot left
+    const otherRoute = await limiter.consume(fromIP({ 'x-user-id': 'u1' }, '/b'));
+    assert(otherRoute.allowed, 'Other routes should keep their own budget');
+
+    const otherUser = await limiter.consume(fromIP({ 'x-user-id': 'u2' }, '/c'));
+    assert(!otherUser.allowed && otherUser.dimension === 'ip', 'The per-IP limit should be shared across identities');
+
+    const guest = await limiter.consume({ headers: {}, ip: '10.0.20.2', method: 'GET', url: '/a' });
+    assert(guest.allowed && !guest.windows.some(window => window.dimension === 'route'), 'Tiers missing from a dimension table should not be limited by it');
+    await limiter.close();
+
+    let threw = false;
+    try {
+        createLimiter({ dimensions: [{ name: 'identity', key: 'global', limit: 1 }], metrics: false });
+    } catch (error) {
+        threw = /Duplicate dimension name/.test(error.message);
+    }
+    assert(threw, "Dimensions may not reuse the reserved 'identity' name");
+});
+
+// Test: Allowlist and blocklist
+asyncTests.push(async () => {
+    console.log('\n=== Testing Allowlist and Blocklist ===\n');
+
+    const limiter = createLimiter({
+        tiers: { guest: 1, free: 1 },
+        allowlist: ['10.1.0.0/16', 'key:partner-token'],
+        blocklist: ['203.0.113.7', 'apiKey:leaked-key'],
+        metrics: false
+    });
+    const blockedEvents = [];
+    limiter.on('blocked', event => blockedEvents.push(event));
+
+    await limiter.consume({ headers: {}, ip: '10.1.2.3' });
+    const allowlisted = await limiter.consume({ headers: {}, ip: '10.1.2.3' });
+    assert(allowlisted.allowed && allowlisted.list === 'allowlist' && allowlisted.listEntry === '10.1.0.0/16', 'Allowlisted CIDRs should skip the limit');
+
+    const partner = await limiter.consume({ headers: { authorization: 'Bearer partner-token' }, ip: '10.0.30.1' });
+    assert(partner.list === 'allowlist' && partner.listEntry === 'key:partner-token', 'Raw identity values should match hashed identity keys');
+
+    const banned = await limiter.consume({ headers: {}, ip: '203.0.113.7' });
+    assert(!banned.allowed && banned.statusCode === 403 && banned.body.error === 'Forbidden', 'Blocklisted IPs should get a 403');
+    assert(blockedEvents.length === 1 && blockedEvents[0].list === 'blocklist', "Blocklisted requests should emit 'blocked'");
+
+    const leaked = await limiter.consume({ headers: { 'x-api-key': 'leaked-key' }, ip: '10.1.2.3' });
+    assert(!leaked.allowed && leaked.list === 'blocklist', 'The blocklist should win over the allowlist');
+
+    await limiter.addToList('blocklist', '198.51.100.0/24');
+    const added = await limiter.consume({ headers: {}, ip: '198.51.100.9' });
+    assert(!added.allowed && added.listEntry === '198.51.100.0/24', 'Entries added at runtime should apply immediately');
+
+    assert(await limiter.removeFromList('allowlist', '10.1.0.0/16') === 1, 'removeFromList() should report removed entries');
+    await limiter.consume({ headers: {}, ip: '10.1.2.3' });
+    const removed = await limiter.consume({ headers: {}, ip: '10.1.2.3' });
+    assert(!removed.allowed && removed.statusCode === 429 && !removed.list, 'Removed entries should be limited again');
+    await limiter.close();
+
+    let threw = false;
+    const strict = createLimiter({ metrics: false });
+    try {
+        await strict.addToList('blocklist', '10.0.0.0/99');
+    } catch (error) {
+        threw = /Invalid prefix length/.test(error.message);
+    }
+    assert(threw, 'Invalid entries should be rejected');
+    await strict.close();
+
+    // Two instances sharing lists through Redis sets
+    const sets = new Map();
+    const setClient = {
+        isReady: true,
+        async sMembers(key) { return [...(sets.get(key) || [])]; },
+        async sAdd(key, members) {
+            if (!sets.has(key)) sets.set(key, new Set());
+            members.forEach(member => sets.get(key).add(member));
+        },
+        async sRem(key, members) { members.forEach(member => sets.has(key) && sets.get(key).delete(member)); }
+    };
+    const first = createLimiter({ redisClient: setClient, blocklist: ['key:seeded'], metrics: false, circuitBreaker: false });
+    const second = createLimiter({ redisClient: setClient, metrics: false, circuitBreaker: false });
+    await Promise.all([first.listsReady, second.listsReady]);
+    assert(second.getList('blocklist').includes('key:seeded'), 'Configured entries should be shared through Redis');
+
+    await first.addToList('blocklist', 'apiKey:revoked');
+    assert(sets.get('ratewarden-lists:blocklist').has('apiKey:revoked'), 'Runtime entries should be stored in a Redis set');
+    await second.syncLists();
+    const revoked = await second.consume({ headers: { 'x-api-key': 'revoked' }, ip: '10.0.30.2' });
+    assert(!revoked.allowed && revoked.list === 'blocklist', 'Other instances should pick up shared entries on sync');
+    await first.close();
+    await second.close();
+
+    // Redis down at startup: the configured entries must survive the first successful sync
+    const outage = new Map();
+    let failSeed = true;
+    const flakyClient = {
+        isReady: true,
+        async sMembers(key) { return [...(outage.get(key) || [])]; },
+        async sAdd(key, members) {
+            if (failSeed) {
+                failSeed = false;
+                throw new Error('connect ECONNREFUSED');
+            }
+            if (!outage.has(key)) outage.set(key, new Set());
+            members.forEach(member => outage.get(key).add(member));
+        }
+    };
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    const restarted = createLimiter({ redisClient: flakyClient, blocklist: ['203.0.113.0/24'], metrics: false, circuitBreaker: false });
+    await restarted.listsReady;
+    console.warn = originalWarn;
+    await restarted.syncLists();
+    assert(restarted.getList('blocklist').join() === '203.0.113.0/24', 'A failed seed should not let a sync drop the configured entries');
+    assert(outage.get('ratewarden-lists:blocklist').has('203.0.113.0/24'), 'The seed should be retried on the next sync');
+    await restarted.close();
+});
+
+// Test: Penalty box
+asyncTests.push(async () => {
+    console.log('\n=== Testing Penalty Box ===\n');
+
+    const penalty = compilePenalty({ threshold: 2, periodMs: 1000, banMs: 1000, multiplier: 3, maxBanMs: 5000 });
+    let step = recordRejection(undefined, 0, penalty);
+    step = recordRejection(step.state, 10, penalty);
+    assert(step.ban && step.ban.until === 1010 && step.ban.offences === 1, 'The threshold-th rejection within the period should ban');
+    step = recordRejection(step.state, 2000, penalty);
+    step = recordRejection(step.state, 2010, penalty);
+    assert(step.ban.until === 2010 + 3000 && step.ban.offences === 2, 'Repeat offences should get longer bans');
+    step = recordRejection(step.state, 6000, penalty);
+    step = recordRejection(step.state, 7500, penalty);
+    assert(step.ban === null, 'Rejections outside the period should not add up');
+
+    const limiter = ratewarden({
+        tiers: { free: 100, guest: 1 },
+        penalty: { threshold: 2, banMs: 30000 },
+        metrics: false
+    });
+    const request = { headers: {}, ip: '10.0.40.1' };
+    await limiter.limiter.consume(request);
+    const first = await limiter.limiter.consume(request);
+    assert(!first.allowed && !first.ban, 'Rejections below the threshold should not ban');
+
+    const banning = await limiter.limiter.consume(request);
+    assert(banning.ban && banning.ban.offences === 1 && banning.retryAfter >= 29, 'Reaching the threshold should ban the identity');
+    assert(banning.body.banned === true && banning.headers['Retry-After'] === String(banning.retryAfter), 'The ban should be reported in the 429 body and Retry-After');
+
+    const store = limiter.limiter.store;
+    const checkLimit = store.checkLimit;
+    let checked = 0;
+    store.checkLimit = async (...args) => { checked++; return checkLimit.apply(store, args); };
+    const banned = await limiter.limiter.consume(request);
+    assert(!banned.allowed && banned.ban && checked === 0, 'Banned identities should be rejected without checking the limit');
+
+    const express = require('express');
+    const app = express();
+    app.use('/admin', ratewarden.adminRouter(limiter));
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}/admin`;
+    try {
+        const key = banned.identity.key;
+        const ban = await (await fetch(`${base}/bans/${key}`)).json();
+        assert(ban.offences === 1 && ban.until === banned.ban.until, 'Admin: should report a running ban');
+
+        const cleared = await (await fetch(`${base}/bans/${key}`, { method: 'DELETE' })).json();
+        assert(cleared.cleared === true && (await fetch(`${base}/bans/${key}`)).status === 404, 'Admin: should lift a ban');
+    } finally {
+        server.close();
+    }
+
+    const afterClear = await limiter.limiter.consume(request);
+    assert(!afterClear.ban && checked === 1, 'Cleared identities should go back to normal limiting');
+    await limiter.limiter.close();
+});
+
+// Test: Aggregate and concurrency limits
+asyncTests.push(async () => {
+    console.log('\n=== Testing Aggregate and Concurrency Limits ===\n');
+
+    const aggregate = createLimiter({
+        tiers: { guest: 100, free: 100 },
+        aggregate: { tiers: { guest: 2 }, max: 3 },
+        metrics: false
+    });
+    const guest = ip => aggregate.consume({ headers: {}, ip });
+    await guest('10.0.50.1');
+    await guest('10.0.50.2');
+    const wave = await guest('10.0.50.3');
+    assert(!wave.allowed && wave.dimension === 'aggregate', 'All guests together should share the per-tier cap');
+
+    const member = await aggregate.consume({ headers: { 'x-user-id': 'u-50' }, ip: '10.0.50.4' });
+    const total = await aggregate.consume({ headers: { 'x-user-id': 'u-51' }, ip: '10.0.50.5' });
+    assert(member.allowed && !total.allowed && total.dimension === 'aggregate-all', 'Other tiers should only count toward the overall cap');
+    await aggregate.close();
+
+    const limiter = createLimiter({
+        tiers: { guest: 100, free: 1 },
+        concurrency: { tiers: { guest: 2 }, max: 4 },
+        metrics: false
+    });
+    const first = await limiter.consume({ headers: {}, ip: '10.0.51.1' });
+    const second = await limiter.consume({ headers: {}, ip: '10.0.51.2' });
+    const third = await limiter.consume({ headers: {}, ip: '10.0.51.3' });
+    assert(typeof first.release === 'function' && second.allowed, 'Requests under the cap should lease a slot');
+    assert(!third.allowed && third.concurrency.scope === 'guest' && third.body.inFlight === 2, 'The per-tier in-flight cap should block');
+    assert(third.headers['Retry-After'] === '1', 'Concurrency rejections should ask to retry shortly');
+
+    await first.release();
+    await first.release();
+    const afterRelease = await limiter.consume({ headers: {}, ip: '10.0.51.3' });
+    assert(afterRelease.allowed, 'Released slots should be reusable (release is idempotent)');
+
+    await limiter.consume({ headers: { 'x-user-id': 'u-52' }, ip: '10.0.51.4' });
+    const rateLimited = await limiter.consume({ headers: { 'x-user-id': 'u-52' }, ip: '10.0.51.4' });
+    assert(!rateLimited.allowed && !rateLimited.concurrency && !rateLimited.release, 'Rate limited requests should not hold a slot');
+    assert(limiter.store.slots.get('*').size === 3, 'Only allowed requests should be in flight');
+    await limiter.close();
+
+    // Slots are released when the response finishes
+    const http = require('http');
+    const handler = withRateLimit((req, res) => res.end('ok'), {
+        tiers: { free: 100, guest: 100 },
+        concurrency: { max: 1 },
+        metrics: false
+    });
+    const server = http.createServer(handler).listen(0);
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/`;
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await fetch(url)).status);
+        }
+        assert(statuses.every(status => status === 200), 'Finished responses should free their slot');
+    } finally {
+        server.close();
+        await handler.limiter.close();
+    }
+});
+
+// Test: Delay mode
+asyncTests.push(async () => {
+    console.log('\n=== Testing Delay Mode ===\n');
+
+    const { EventEmitter } = require('events');
+    const limiter = createLimiter({
+        tiers: { free: 100, guest: [{ limit: 1, windowMs: 200 }] },
+        mode: 'delay',
+        delay: { maxWaitMs: 1000, maxQueue: 1 },
+        metrics: false
+    });
+    const request = { headers: {}, ip: '10.0.60.1' };
+
+    const first = await limiter.consume(request);
+    const queued = limiter.consume(request);
+    const overflow = await limiter.consume(request);
+    assert(first.allowed && !overflow.allowed && !overflow.delayedMs, 'A full queue should reject right away');
+
+    const delayed = await queued;
+    assert(delayed.allowed && delayed.delayedMs > 0, 'Queued requests should go through once the window has room');
+    assert(limiter.queues.size === 0, 'Finished waits should leave the queue');
+
+    // Client disconnects cancel the wait
+    const res = new EventEmitter();
+    const waiting = limiter.consume(request, res);
+    setTimeout(() => res.emit('close'), 20);
+    const cancelled = await waiting;
+    assert(!cancelled.allowed && cancelled.cancelled === true, 'Disconnected clients should stop waiting');
+    await limiter.close();
+
+    // The next slot is further away than maxWaitMs
+    const short = createLimiter({
+        tiers: { free: 100, guest: [{ limit: 1, windowMs: 60000 }] },
+        mode: 'delay',
+        delay: { maxWaitMs: 100 },
+        metrics: false
+    });
+    await short.consume(request);
+    const started = Date.now();
+    const rejected = await short.consume(request);
+    assert(!rejected.allowed && Date.now() - started < 100, 'Waits beyond maxWaitMs should fall back to 429');
+    await short.close();
+
+    let threw = false;
+    try {
+        createLimiter({ mode: 'queue' });
+    } catch (error) {
+        threw = /Unknown mode/.test(error.message);
+    }
+    assert(threw, 'Unknown modes should throw');
+});
+
+// Test: Runtime configuration (file and Redis)
+asyncTests.push(async () => {
+    console.log('\n=== Testing Runtime Configuration ===\n');
+
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { EventEmitter } = require('events');
+    const file = path.join(os.tmpdir(), `ratewarden-config-${process.pid}.json`);
+    // The file watcher doesn't keep the process alive, the timeout does
+    const nextEvent = (limiter, event) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No '${event}' event`)), 5000);
+        limiter.once(event, (payload) => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+    const user = id => ({ headers: { 'x-user-id': id }, ip: '10.0.70.1' });
+
+    fs.writeFileSync(file, JSON.stringify({
+        tiers: { free: 1, guest: 1 },
+        overrides: { 'cus-42': 3, 'cus-7': { tier: 'guest' } }
+    }));
+    const limiter = createLimiter({ dynamicConfig: { file, watchIntervalMs: 20 }, metrics: false });
+    try {
+        const regular = [await limiter.consume(user('u-70')), await limiter.consume(user('u-70'))];
+        assert(regular[0].limit === 1 && !regular[1].allowed, 'Tiers should come from the config file');
+
+        const vip = await limiter.consume(user('cus-42'));
+        const moved = await limiter.consume(user('cus-7'));
+        assert(vip.limit === 3 && vip.tier === 'free', 'Overrides should replace the limit of one identity');
+        assert(moved.tier === 'guest', 'Overrides can move an identity to another tier');
+
+        // Let the watcher take its first snapshot
+        await new Promise(resolve => setTimeout(resolve, 100));
+        let reloaded = nextEvent(limiter, 'configReload');
+        fs.writeFileSync(file, JSON.stringify({ tiers: { free: 5, guest: 1 }, rules: { 'POST /login': { tiers: { free: 2 } } } }));
+        const reload = await reloaded;
+        assert(reload.rules === 1 && reload.overrides === 0, 'File changes should be applied');
+        const raised = await limiter.consume(user('u-71'));
+        const login = await limiter.consume({ ...user('u-71'), method: 'POST', url: '/login' });
+        assert(raised.limit === 5 && login.rule === 'post-login' && login.limit === 2, 'Reloaded tiers and rules should apply');
+
+        const rejected = nextEvent(limiter, 'configError');
+        fs.writeFileSync(file, JSON.stringify({ tiers: { free: -1 } }));
+        const { error } = await rejected;
+        assert(/tiers\.free must be a non-negative limit/.test(error.message), 'Invalid configs should be rejected with a clear error');
+        assert((await limiter.consume(user('u-72'))).limit === 5, 'The last good config should stay live');
+
+        let threw = false;
+        try {
+            limiter.applyConfig({ tiers: { free: 10 }, overrides: { x: { tier: 'gold' } } });
+        } catch (applyError) {
+            threw = /unknown tier 'gold'/.test(applyError.message);
+        }
+        assert(threw && (await limiter.consume(user('u-73'))).limit === 5, 'Configs are applied whole or not at all');
+    } finally {
+        await limiter.close();
+        fs.unlinkSync(file);
+    }
+
+    // Two instances sharing a config through Redis pub/sub
+    const values = new Map();
+    const bus = new EventEmitter();
+    const configClient = {
+        isReady: true,
+        async get(key) { return values.has(key) ? values.get(key) : null; },
+        async set(key, value) { values.set(key, value); },
+        async publish(channel, message) { bus.emit(channel, message); },
+        duplicate() {
+            const listeners = [];
+            return {
+                async connect() {},
+                async subscribe(channel, listener) {
+                    listeners.push([channel, listener]);
+                    bus.on(channel, listener);
+                },
+                async unsubscribe() { listeners.forEach(([channel, listener]) => bus.off(channel, listener)); },
+                async quit() {}
+            };
+        }
+    };
+    const options = { redisClient: configClient, dynamicConfig: { redis: true }, listSyncIntervalMs: false, metrics: false };
+    const first = createLimiter(options);
+    const second = createLimiter(options);
+    await Promise.all([first.configReady, second.configReady]);
+
+    const reloaded = nextEvent(second, 'configReload');
+    await first.publishConfig({ tiers: { free: 500, guest: 10 }, overrides: { 'cus-42': 5000 } });
+    assert((await reloaded).source === 'redis' && second.config.tiers.free === 500, 'Published configs should reach every instance');
+    assert(second.overrides.get(hashValue('cus-42')).limit === 5000, 'Overrides should be shared too');
+
+    let threw = false;
+    try {
+        await first.publishConfig({ tiers: { free: Infinity } });
+    } catch (error) {
+        threw = /Invalid config/.test(error.message);
+    }
+    assert(threw && JSON.parse(values.get('ratewarden-config')).tiers.free === 500, 'Invalid configs should not be published');
+
+    const third = createLimiter(options);
+    await third.configReady;
+    assert(third.config.tiers.free === 500, 'New instances should load the stored config');
+    await Promise.all([first.close(), second.close(), third.close()]);
+});
+
+// Test: Options validation
+asyncTests.push(async () => {
+    console.log('\n=== Testing Options Validation ===\n');
+
+    const rejects = (options, pattern) => {
+        try {
+            createLimiter({ metrics: false, ...options }).close();
+            return false;
+        } catch (error) {
+            return pattern.test(error.message);
+        }
+    };
+
+    assert(rejects({ windowMS: 1000 }, /Unknown option 'windowMS'\. Did you mean 'windowMs'\?/), 'Misspelled options should be named with a suggestion');
+    assert(rejects({ windowMs: -5 }, /windowMs must be a positive number, got -5/), 'Negative windows should be rejected');
+    assert(rejects({ windowMs: '60000' }, /got '60000' \(string\)/), 'String windows should be rejected');
+    assert(rejects({ tiers: { guest: 10 } }, /tiers needs a 'free' tier/), 'Tier tables without the fallback tier should be rejected');
+    assert(rejects({ tiers: { free: 10, pro: 'lots' } }, /tiers\.pro must be a non-negative limit/), 'Invalid tier limits should be rejected');
+    assert(rejects({ rules: { 'POST /login': { tiers: { gest: 5 } } } }, /rules\['POST \/login'\]\.tiers refers to unknown tier 'gest'\. Did you mean 'guest'\?/), 'Rules should only use configured tiers');
+    assert(rejects({ concurrency: { tiers: { enterprise: 5 } } }, /concurrency\.tiers refers to unknown tier 'enterprise'/), 'Concurrency caps should only use configured tiers');
+    assert(rejects({ delay: { maxWaitMs: 0 } }, /delay\.maxWaitMs must be a positive number/), 'Nested numbers should be validated');
+    assert(rejects({ nearLimitThreshold: 80 }, /nearLimitThreshold must be a number between 0 and 1/), 'Thresholds should be fractions');
+    assert(!rejects({ jwt: false, penalty: false, ipv4Subnet: false, metrics: false }, /./), 'Features should accept false to turn them off');
+
+    // Runtime: resolveTier returning an unconfigured tier warns once per name
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    const limiter = createLimiter({ tiers: { free: 2, pro: 10 }, resolveTier: () => 'premium', metrics: false });
+    try {
+        const first = await limiter.consume({ headers: {}, ip: '10.0.80.1' });
+        await limiter.consume({ headers: {}, ip: '10.0.80.2' });
+        assert(first.limit === 2, "Unknown tiers should use the 'free' limits");
+        assert(warnings.length === 1 && /Tier 'premium' is not configured/.test(warnings[0]), 'Unknown tiers should be warned about once');
+
+        warnings.length = 0;
+        const noGuest = createLimiter({ tiers: { free: 3, pro: 10 }, metrics: false });
+        const anonymous = await noGuest.consume({ headers: {}, ip: '10.0.80.3' });
+        await noGuest.close();
+        assert(anonymous.tier === 'guest' && anonymous.limit === 3 && warnings.length === 0, "Guests should silently use the 'free' limits when 'guest' is left out");
+    } finally {
+        console.warn = warn;
+        await limiter.close();
+    }
+});
+
+// Test: Header formats
+asyncTests.push(async () => {
+    console.log('\n=== Testing Header Formats ===\n');
+
+    const request = { headers: {}, ip: '10.0.90.1' };
+    const consumeTwice = async (options) => {
+        const limiter = createLimiter({ tiers: { free: 100, guest: 1 }, metrics: false, ...options });
+        const decisions = [await limiter.consume(request), await limiter.consume(request)];
+        await limiter.close();
+        return decisions;
+    };
+
+    const [allowed, blocked] = await consumeTwice({});
+    assert(allowed.headers['RateLimit-Reset'] === '60' && allowed.headers['RateLimit-Policy'] === '1;w=60', 'draft-6 should send delta-seconds and RateLimit-Policy');
+    assert(blocked.headers['RateLimit-Remaining'] === '0' && blocked.headers['Retry-After'] !== undefined, '429s should carry the same headers plus Retry-After');
+
+    const [legacy] = await consumeTwice({ headers: 'legacy' });
+    const resetAt = Number(legacy.headers['X-RateLimit-Reset']);
+    assert(legacy.headers['X-RateLimit-Limit'] === '1' && resetAt > Date.now() / 1000 && !legacy.headers['RateLimit-Limit'], 'legacy should send X-RateLimit-* with a Unix timestamp');
+
+    const [, silent] = await consumeTwice({ headers: false });
+    assert(silent.headers['Retry-After'] && !Object.keys(silent.headers).some(name => /RateLimit/i.test(name)), "'none' should only keep Retry-After on 429s");
+
+    const [combined] = await consumeTwice({
+        headers: 'draft-8',
+        tiers: { free: 100, guest: [{ limit: 5, windowMs: 1000 }, { limit: 50, windowMs: 60000 }] },
+        dimensions: [{ name: 'ip', key: 'ip', limit: 500 }]
+    });
+    assert(combined.headers['RateLimit-Policy'] === '"default-1s";q=5;w=1, "default-60s";q=50;w=60, "ip";q=500;w=60', 'draft-8 should name one policy per window and dimension');
+    assert(combined.headers.RateLimit === '"default-1s";r=4;t=1, "default-60s";r=49;t=60, "ip";r=499;t=60', 'draft-8 should report every policy in RateLimit');
+
+    const [ruled] = await consumeTwice({ headers: 'draft-8', rules: [{ path: '/**', name: 'search', tiers: { guest: 3 } }] });
+    assert(ruled.headers['RateLimit-Policy'] === '"search";q=3;w=60', 'Rule policies should be named after the rule');
+
+    // Concurrency rejections report the in-flight cap in the configured format
+    const expected = {
+        'draft-6': headers => headers['RateLimit-Limit'] === '1' && headers['RateLimit-Remaining'] === '0' && headers['RateLimit-Reset'] === '1' && headers['RateLimit-Policy'] === '1;w=1',
+        'draft-8': headers => headers['RateLimit-Policy'] === '"concurrency";q=1;w=1' && headers.RateLimit === '"concurrency";r=0;t=1',
+        legacy: headers => headers['X-RateLimit-Limit'] === '1' && headers['X-RateLimit-Remaining'] === '0' && !headers['RateLimit-Limit']
+    };
+    for (const format of Object.keys(expected)) {
+        const limiter = createLimiter({ tiers: { free: 100, guest: 10 }, concurrency: { tiers: { guest: 1 } }, headers: format, metrics: false });
+        const holding = await limiter.consume({ headers: {}, ip: '10.0.90.2' });
+        const shed = await limiter.consume({ headers: {}, ip: '10.0.90.3' });
+        assert(shed.concurrency && expected[format](shed.headers) && shed.headers['Retry-After'] === '1', `${format}: concurrency 429s should send the configured rate limit headers`);
+        holding.release();
+        await limiter.close();
+    }
+
+    // Blocklisted requests are not counted: no quota to report
+    const listed = createLimiter({ tiers: { free: 100, guest: 10 }, blocklist: ['10.0.90.4'], headers: 'draft-8', metrics: false });
+    const denied = await listed.consume({ headers: {}, ip: '10.0.90.4' });
+    assert(denied.statusCode === 403 && !Object.keys(denied.headers).some(name => /RateLimit|Retry-After/i.test(name)), 'Blocklist rejections should send no rate limit headers');
+    await listed.close();
+
+    let threw = false;
+    try {
+        createLimiter({ headers: 'draft-7' });
+    } catch (error) {
+        threw = /Unknown headers format 'draft-7'/.test(error.message);
+    }
+    assert(threw, 'Unknown header formats should throw');
+});
+
+// Test: Custom 429 responses
+asyncTests.push(async () => {
+    console.log('\n=== Testing Custom 429 Responses ===\n');
+
+    const rejectSecond = async (options, accept) => {
+        const limiter = createLimiter({ tiers: { free: 100, guest: 1 }, metrics: false, ...options });
+        const request = { headers: accept ? { accept } : {}, ip: '10.0.91.1' };
+        await limiter.consume(request);
+        const decision = await limiter.consume(request);
+        await limiter.close();
+        return decision;
+    };
+
+    const json = await rejectSecond({});
+    assert(json.body.tier === 'guest' && json.headers['Content-Type'] === 'application/json; charset=utf-8', 'Rejections should default to the JSON body');
+    assert(json.headers.Vary === 'Accept', 'Rejections should vary on Accept');
+
+    const problem = await rejectSecond({}, 'application/problem+json, application/json;q=0.9');
+    assert(problem.headers['Content-Type'] === 'application/problem+json', 'problem+json clients should get problem details');
+    assert(problem.body.type === 'about:blank' && problem.body.title === 'Too Many Requests' && problem.body.status === 429, 'Problem details should carry type, title and status');
+    assert(/guest/.test(problem.body.detail) && problem.body.retryAfter !== undefined && problem.body.error === undefined, 'The rest of the body should become detail and extension members');
+
+    const text = await rejectSecond({ message: 'Slow down' }, 'text/plain');
+    assert(text.body === 'Slow down\n' && text.headers['Content-Type'] === 'text/plain; charset=utf-8', 'text/plain clients should get the message as text');
+
+    const html = await rejectSecond({ message: 'Wait <a bit>' }, 'text/html,application/xhtml+xml,*/*;q=0.8');
+    assert(/<p>Wait &#60;a bit&#62;<\/p>/.test(html.body) && html.headers['Content-Type'] === 'text/html; charset=utf-8', 'Browsers should get an escaped HTML page');
+
+    const fallback = await rejectSecond({}, 'image/png');
+    assert(typeof fallback.body === 'object' && fallback.headers['Content-Type'] === 'application/json; charset=utf-8', 'Unsupported Accept headers should fall back to JSON');
+
+    const messaged = await rejectSecond({ message: 'Slow down' });
+    assert(messaged.body.message === 'Slow down' && messaged.body.tier === 'guest', 'A string message should replace only the message');
+
+    const replaced = await rejectSecond({ message: { error: 'busy' } });
+    assert(replaced.body.error === 'busy' && replaced.body.tier === undefined, 'An object message should replace the whole body');
+
+    const spoofed = await rejectSecond({ message: { message: 'Busy', type: 'https://example.com/ok', title: 'OK', status: 200, detail: 'fine', hint: 'later' } }, 'application/problem+json');
+    assert(spoofed.body.type === 'about:blank' && spoofed.body.title === 'Too Many Requests' && spoofed.body.status === 429 && spoofed.body.detail === 'Busy',
+        'A custom body should not override the standard problem members');
+    assert(spoofed.body.hint === 'later', 'Other custom body fields should stay extension members');
+
+    const computed = await rejectSecond({ message: async decision => `Try again in ${decision.retryAfter}s` });
+    assert(/^Try again in \d+s$/.test(computed.body.message) && computed.message === computed.body.message, 'A message function should receive the decision');
+
+    const originalError = console.error;
+    console.error = () => {};
+    const broken = await rejectSecond({ message: () => { throw new Error('boom'); } });
+    console.error = originalError;
+    assert(broken.statusCode === 429 && broken.body.tier === 'guest', 'A throwing message function should keep the default body');
+
+    const hidden = await rejectSecond({ exposeDetails: false });
+    assert(hidden.body.message === 'Rate limit exceeded' && hidden.body.retryAfter !== undefined, 'exposeDetails: false should keep the message and retryAfter');
+    assert(hidden.body.tier === undefined && hidden.body.limit === undefined && hidden.body.current === undefined, 'exposeDetails: false should hide tier, limit and counts');
+
+    const listed = createLimiter({ tiers: { free: 100, guest: 1 }, blocklist: ['10.0.91.2'], message: 'Slow down', metrics: false });
+    const blocked = await listed.consume({ headers: {}, ip: '10.0.91.2' });
+    await listed.close();
+    assert(blocked.statusCode === 403 && blocked.body.message !== 'Slow down', 'The message option should not apply to blocklisted requests');
+
+    // Middleware resolves once it responded or called next()
+    const run = (middleware, req) => new Promise((resolve) => {
+        const res = mockResponse();
+        res.json = res.send = function (data) {
+            this.body = data;
+            resolve(res);
+            return this;
+        };
+        middleware(req, res, () => resolve(res));
+    });
+
+    // Express sends string bodies with send()
+    const middleware = ratewarden({ tiers: { free: 100, guest: 1 }, metrics: false });
+    const sent = [];
+    for (let i = 0; i < 2; i++) {
+        sent.push(await run(middleware, { ...mockRequest({ accept: 'text/plain' }), ip: '10.0.91.3' }));
+    }
+    assert(sent[1].statusCode === 429 && typeof sent[1].body === 'string' && sent[1].headers['Content-Type'] === 'text/plain; charset=utf-8', 'Express should send text bodies as text');
+    await middleware.limiter.close();
+
+    // Raw http writes strings as-is
+    const wrapped = withRateLimit((req, res) => res.end('ok'), { tiers: { free: 100, guest: 1 }, metrics: false });
+    const written = [];
+    for (let i = 0; i < 2; i++) {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(name, value) { this.headers[name] = value; },
+            writeHead(status, headers) { this.statusCode = status; Object.assign(this.headers, headers); },
+            end(chunk) { this.body = chunk; }
+        };
+        await wrapped({ headers: { accept: 'application/problem+json' }, socket: { remoteAddress: '10.0.91.4' } }, res);
+        written.push(res);
+    }
+    assert(JSON.parse(written[1].body).status === 429 && written[1].headers['Content-Type'] === 'application/problem+json', 'http: should write problem details with their Content-Type');
+    await wrapped.limiter.close();
+
+    // GraphQL keeps its JSON errors body
+    const graphql = ratewarden.graphql({ tiers: { free: 100, guest: 1 }, exposeDetails: false, metrics: false });
+    const responses = [];
+    for (let i = 0; i < 2; i++) {
+        responses.push(await run(graphql, { ...mockRequest({ accept: 'text/html' }), ip: '10.0.91.5', method: 'POST', url: '/graphql', body: { query: '{ me }' } }));
+    }
+    const error = responses[1].body.errors[0];
+    assert(responses[1].headers['Content-Type'] === 'application/json; charset=utf-8' && error.extensions.code === 'RATE_LIMITED', 'GraphQL should keep JSON errors whatever the Accept header');
+    assert(error.extensions.tier === undefined && error.extensions.retryAfter !== undefined, 'GraphQL should honour exposeDetails: false');
+    await graphql.limiter.close();
+});